@@ -0,0 +1,28 @@
+// Carrier and line details of the caller's number from the NPA-NXX reference data
+module.exports = {
+  id: 'carrier',
+  title: 'Carrier Lookup',
+  description: 'Carrier, line type & rate center from the number',
+  icon: 'Phone',
+  inputs: ['CallerID', 'CallerCarrier'],
+  outputs: ['CallerCarrier', 'CallerNumberState', 'CallerRateCenter', 'CallerLineType', 'CallerTollFree'],
+  enrichRow: (row, { lookupNumber }) => {
+    const number = lookupNumber(row.CallerID)
+    if (!number) return null
+    const values = {
+      CallerNumberState: number.state,
+      CallerRateCenter: number.rateCenter,
+      CallerLineType: number.lineType,
+      CallerTollFree: number.tollFree ? 'Yes' : 'No'
+    }
+    // A carrier from the call record (which knows about ported numbers) beats the original one,
+    // and a carrier already there is never replaced by 'Unknown Carrier'
+    if (!row.CallerCarrier) {
+      values.CallerCarrier = number.carrier || 'Unknown Carrier'
+    } else if (number.carrier && ['Not Found', 'Unknown Carrier'].includes(row.CallerCarrier)) {
+      values.CallerCarrier = number.carrier
+    }
+    return values
+  },
+  summary: count => `Looked up carrier and line details for ${count} records`
+}
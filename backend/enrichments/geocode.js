@@ -0,0 +1,15 @@
+// Coordinates from the ZIP and city gazetteers, falling back to the state's centroid
+module.exports = {
+  id: 'geocode',
+  title: 'Geocoding',
+  description: 'Lat/lng from ZIP, city or state',
+  icon: 'MapPin',
+  inputs: ['CallerZip', 'CallerCity', 'CallerState', 'CallerNumberState'],
+  // GeoPrecision records whether the point is the ZIP code's, the city's or the state's
+  outputs: ['Latitude', 'Longitude', 'GeoPrecision'],
+  enrichRow: (row, { geocodeRow }) => {
+    const location = geocodeRow(row)
+    return { Latitude: location?.latitude ?? null, Longitude: location?.longitude ?? null, GeoPrecision: location?.precision ?? null }
+  },
+  summary: count => `Added coordinates for ${count} records`
+}
@@ -0,0 +1,31 @@
+// County, average tax rate and assessed value for CA callers, by their city
+const caBoe = require('./shared/ca-boe')
+
+module.exports = {
+  id: 'property-tax',
+  title: 'CA Property Tax',
+  description: 'Add county & tax rates (CA only)',
+  icon: 'Building2',
+  inputs: ['CallerCity', 'CallerState'],
+  outputs: ['CallerCounty', 'PropertyTaxRate', 'CountyAssessedValue', 'TaxDataYear'],
+  remote: caBoe,
+  enrichRow: (row, { remote }) => {
+    const values = { PropertyTaxRate: null, CountyAssessedValue: null, TaxDataYear: null }
+
+    // Only enrich CA callers
+    if (row.CallerState !== 'CA') return values
+
+    const county = remote.cityToCounty[(row.CallerCity || '').toUpperCase()]
+    if (!county) return values
+    values.CallerCounty = county
+
+    const taxInfo = remote.countyTaxRates[county.toUpperCase()]
+    if (taxInfo) {
+      values.PropertyTaxRate = taxInfo.avgTaxRate
+      values.CountyAssessedValue = taxInfo.netAssessedValue
+      values.TaxDataYear = taxInfo.year
+    }
+    return values
+  },
+  summary: count => `Added CA property tax data for ${count} records (CA callers only)`
+}
@@ -0,0 +1,52 @@
+// California Board of Equalization open data: the county of each city and each county's tax rates.
+// Used as the `remote` of the CA enrichments, so it is fetched once a day at most
+async function fetchBOEData() {
+  console.log('Fetching CA BOE data...')
+
+  try {
+    // Fetch city-to-county mapping (get latest year)
+    const cityRes = await fetch('https://boe.ca.gov/DataPortal/api/odata/Assessed_Property_Values_by_City?$orderby=AssessmentYearTo%20desc&$top=5000')
+    const cityData = await cityRes.json()
+
+    // Build city-to-county map (use latest year for each city)
+    const cityToCounty = {}
+    const cityValues = {}
+    for (const row of cityData.value) {
+      const cityKey = row.City.toUpperCase()
+      if (!cityToCounty[cityKey]) {
+        cityToCounty[cityKey] = row.County
+        cityValues[cityKey] = row.LocallyAssessedValue
+      }
+    }
+
+    // Fetch county tax rates (get latest year)
+    const taxRes = await fetch('https://boe.ca.gov/DataPortal/api/odata/Property_Tax_Allocations?$orderby=AssessmentYearTo%20desc&$top=200')
+    const taxData = await taxRes.json()
+
+    // Build county tax rate map
+    const countyTaxRates = {}
+    for (const row of taxData.value) {
+      const countyKey = row.County.toUpperCase()
+      if (!countyTaxRates[countyKey]) {
+        countyTaxRates[countyKey] = {
+          avgTaxRate: row.AverageTaxRate,
+          netAssessedValue: row.NetTaxableAssessedValue,
+          totalLevies: row.TotalPropertyTaxAllocationsandLevies,
+          year: `${row.AssessmentYearFrom}-${row.AssessmentYearTo}`
+        }
+      }
+    }
+
+    console.log(`Cached ${Object.keys(cityToCounty).length} cities, ${Object.keys(countyTaxRates).length} counties`)
+    return { cityToCounty, cityValues, countyTaxRates }
+  } catch (err) {
+    console.error('Failed to fetch BOE data:', err.message)
+    throw err
+  }
+}
+
+module.exports = {
+  key: 'ca-boe',
+  ttlHours: 24,
+  fetch: fetchBOEData
+}
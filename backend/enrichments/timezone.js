@@ -0,0 +1,14 @@
+// IANA timezone of the caller's state
+module.exports = {
+  id: 'timezone',
+  title: 'Timezone',
+  description: 'Add timezone from state',
+  icon: 'Clock',
+  inputs: ['CallerState', 'CallerNumberState'],
+  outputs: ['CallerTimezone'],
+  // The state of the caller's number (from the carrier lookup) when the address has none
+  enrichRow: (row, { stateTimezones }) => ({
+    CallerTimezone: stateTimezones[row.CallerState] || stateTimezones[row.CallerNumberState] || null
+  }),
+  summary: count => `Added timezone for ${count} records`
+}
@@ -0,0 +1,90 @@
+const crypto = require('crypto')
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startServer, callsCsv, USER_PASSWORD } = require('./helpers')
+
+let server
+let admin
+
+before(async () => {
+  server = await startServer()
+  admin = await server.login()
+  await server.uploadCsv(admin, callsCsv([
+    { CallID: 'ca', CallerState: 'CA' },
+    { CallID: 'nv', CallerState: 'NV' }
+  ]))
+})
+
+after(() => server.close())
+
+async function createKey(token, scope, extra = {}) {
+  const res = await server.request('POST', '/api/auth/api-keys', { token, body: { name: `${scope} key`, scope, ...extra } })
+  assert.equal(res.status, 200, JSON.stringify(res.body))
+  return res.body
+}
+
+test('each scope only opens the routes it covers', async () => {
+  const { key: read } = await createKey(admin, 'read')
+  const { key: metrics } = await createKey(admin, 'metrics')
+  const { key: upload } = await createKey(admin, 'upload')
+
+  const allowed = [
+    [read, 'GET', '/api/data?page=0'],
+    [read, 'GET', '/api/data/export'],
+    [read, 'GET', '/api/files'],
+    [metrics, 'GET', '/api/metrics'],
+    [metrics, 'GET', '/api/schema'],
+    [upload, 'GET', '/api/files']
+  ]
+  for (const [token, method, url] of allowed) {
+    assert.equal((await server.request(method, url, { token })).status, 200, url)
+  }
+
+  const refused = [
+    [metrics, 'GET', '/api/data?page=0'],
+    [upload, 'GET', '/api/data/export'],
+    [read, 'DELETE', '/api/files/1'],
+    [read, 'GET', '/api/admin/users'],
+    [read, 'POST', '/api/auth/api-keys']
+  ]
+  for (const [token, method, url] of refused) {
+    const res = await server.request(method, url, { token })
+    assert.equal(res.status, 403, url)
+    assert.match(res.body.error, /API keys with the \w+ scope cannot be used here/)
+  }
+
+  assert.equal((await server.uploadCsv(upload, callsCsv([{ CallID: 'up' }]))).status, 200)
+  assert.equal((await server.uploadCsv(read, callsCsv([{ CallID: 'up' }]))).status, 403)
+})
+
+test('keys are stored hashed and can be revoked', async () => {
+  const { key, apiKey } = await createKey(admin, 'read')
+  const row = server.db.prepare('SELECT key_hash FROM api_keys WHERE id = ?').get(apiKey.id)
+  assert.equal(row.key_hash, crypto.createHash('sha256').update(key).digest('hex'))
+  assert.equal(apiKey.key_prefix, key.slice(0, 10))
+
+  assert.equal((await server.request('DELETE', `/api/auth/api-keys/${apiKey.id}`, { token: admin })).status, 200)
+  assert.equal((await server.request('GET', '/api/data?page=0', { token: key })).status, 401)
+})
+
+test('expired keys stop working', async () => {
+  const { key, apiKey } = await createKey(admin, 'read', { expiresInDays: 1 })
+  assert.equal((await server.request('GET', '/api/data?page=0', { token: key })).status, 200)
+  server.db.prepare("UPDATE api_keys SET expires_at = datetime('now', '-1 minute') WHERE id = ?").run(apiKey.id)
+  assert.equal((await server.request('GET', '/api/data?page=0', { token: key })).status, 401)
+})
+
+test("a key acts as its owner: the owner's permissions decide what it can be created for and scopes still apply", async () => {
+  await server.createRole(admin, { name: 'viewer', permissions: ['data.view'] })
+  await server.createUser(admin, { username: 'kai', password: USER_PASSWORD, role: 'viewer', scopes: [{ column: 'CallerState', values: ['NV'] }] })
+  const token = await server.login('kai', USER_PASSWORD)
+
+  const denied = await server.request('POST', '/api/auth/api-keys', { token, body: { name: 'up', scope: 'upload' } })
+  assert.equal(denied.status, 403)
+
+  const { key } = await createKey(token, 'read')
+  const { body } = await server.request('GET', '/api/data?page=0', { token: key })
+  assert.deepEqual(body.data.map(row => row.CallID), ['nv'])
+  // The role lacks data.export, so the read scope alone isn't enough
+  assert.equal((await server.request('GET', '/api/data/export', { token: key })).status, 403)
+})
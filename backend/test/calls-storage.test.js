@@ -0,0 +1,47 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const Database = require('better-sqlite3')
+const { tempDir, spawnServer, callsCsv } = require('./helpers')
+
+test('uploads are stored once in the calls table, survive a restart and follow delete and restore', async () => {
+  const dir = tempDir()
+  const stored = () => {
+    const db = new Database(path.join(dir, 'test.db'), { readonly: true })
+    try {
+      return db.prepare('SELECT file_id, CallID FROM calls ORDER BY id').all()
+    } finally {
+      db.close()
+    }
+  }
+  let server = await spawnServer(dir)
+  try {
+    const token = await server.login()
+    const upload = await server.uploadCsv(token, callsCsv([
+      { CallID: 'a', CallerState: 'CA' },
+      { CallID: 'b', CallerState: 'NY' }
+    ]))
+    assert.equal(upload.status, 200)
+    const fileId = upload.body.file.id
+    const rows = stored()
+    assert.deepEqual(rows, [{ file_id: fileId, CallID: 'a' }, { file_id: fileId, CallID: 'b' }])
+
+    // A restart reads the stored rows instead of ingesting the file again
+    await server.stop()
+    server = await spawnServer(dir)
+    assert.deepEqual(stored(), rows)
+    const callIds = async token => (await server.request('GET', '/api/data?page=0&sort=CallID', { token })).body.data.map(row => row.CallID)
+    const admin = await server.login()
+    assert.deepEqual(await callIds(admin), ['a', 'b'])
+
+    assert.equal((await server.request('DELETE', `/api/files/${fileId}`, { token: admin })).status, 200)
+    assert.deepEqual(await callIds(admin), [])
+    assert.equal((await server.request('PUT', `/api/files/${fileId}/restore`, { token: admin })).status, 200)
+    assert.deepEqual(await callIds(admin), ['a', 'b'])
+    assert.deepEqual(stored(), rows)
+  } finally {
+    await server.stop()
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+})
@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startServer, callsCsv } = require('./helpers')
+
+let server
+let admin
+
+before(async () => {
+  server = await startServer()
+  admin = await server.login()
+  const rows = [
+    { CallID: 'area', CallerID: '(212) 555-0101' },
+    { CallID: 'exchange', CallerID: '17872035555' },
+    { CallID: 'unknown', CallerID: '2055550101' },
+    { CallID: 'not-found', CallerID: '2055550102', CallerCarrier: 'Not Found' },
+    { CallID: 'from-record', CallerID: '2125550103', CallerCarrier: 'Comcast' },
+    { CallID: 'stale', CallerID: '2125550104', CallerCarrier: 'Unknown Carrier' }
+  ]
+  assert.equal((await server.uploadCsv(admin, callsCsv(rows))).status, 200)
+  const queued = await server.request('POST', '/api/enrich/carrier', { token: admin })
+  assert.equal((await server.waitForJob(admin, queued.body.job.id)).status, 'completed')
+})
+
+after(() => server.close())
+
+async function enriched(callId) {
+  const { body } = await server.request('GET', `/api/data?page=0&search=${callId}`, { token: admin })
+  return body.data.find(row => row.CallID === callId)
+}
+
+test('carrier, line type and rate center come only from the exchange', async () => {
+  const exchange = await enriched('exchange')
+  assert.equal(exchange.CallerCarrier, 'Claro')
+  assert.equal(exchange.CallerLineType, 'wireless')
+  assert.equal(exchange.CallerNumberState, 'PR')
+
+  // The bundled file knows the state of 212 but none of its exchanges
+  const area = await enriched('area')
+  assert.equal(area.CallerNumberState, 'NY')
+  assert.equal(area.CallerCarrier, 'Unknown Carrier')
+  assert.ok(!area.CallerLineType)
+  assert.ok(!area.CallerRateCenter)
+})
+
+test("a carrier on the record is kept, and only an empty one becomes 'Unknown Carrier'", async () => {
+  assert.equal((await enriched('unknown')).CallerCarrier, 'Unknown Carrier')
+  assert.equal((await enriched('not-found')).CallerCarrier, 'Not Found')
+  assert.equal((await enriched('from-record')).CallerCarrier, 'Comcast')
+  assert.equal((await enriched('stale')).CallerCarrier, 'Unknown Carrier')
+})
+
+test('an area code row does not lend its carrier to exchanges the data does not list', async () => {
+  const form = new FormData()
+  form.append('file', new Blob(['NPA,NXX,State,Rate Center,Line Type,Company\n212,,NY,,,Guess Telecom\n212,555,NY,NWYRCYZN01,ILEC,Verizon New York\n']), 'npa-nxx.csv')
+  assert.equal((await server.request('POST', '/api/admin/reference/npa-nxx', { token: admin, form })).status, 200)
+
+  assert.deepEqual(server.lookupNumber('2125550101'), {
+    npa: '212', nxx: '555', state: 'NY', rateCenter: 'NWYRCYZN01', lineType: 'landline', carrier: 'Verizon New York', tollFree: false
+  })
+  assert.deepEqual(server.lookupNumber('2124440101'), {
+    npa: '212', nxx: '444', state: 'NY', rateCenter: null, lineType: null, carrier: null, tollFree: false
+  })
+})
@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { USER_PASSWORD, startServer, callsCsv } = require('./helpers')
+
+let server
+let admin
+let analyst
+
+before(async () => {
+  server = await startServer()
+  admin = await server.login()
+  const rows = [
+    { CallID: '1', CallerID: '7025550101', CallerName: 'Vegas Realty', CallerCity: 'Las Vegas', CallerState: 'NV', CallStart: '2024-01-05 09:00:00', Latitude: '36.17', Longitude: '-115.14', GeoPrecision: 'city' },
+    { CallID: '2', CallerID: '7025550101', CallerName: 'Vegas Realty', CallerCity: 'Las Vegas', CallerState: 'NV', CallStart: '2024-02-10 09:00:00', Latitude: '36.17', Longitude: '-115.14', GeoPrecision: 'city' },
+    { CallID: '3', CallerID: '7755550123', CallerName: 'Reno Roofing', CallerCity: 'Reno', CallerState: 'NV', CallStart: '2024-03-15 09:00:00' },
+    { CallID: '4', CallerID: '7095550199', CallerName: 'Vegas Imports', CallerCity: 'St. Johns', CallerState: 'NL', CallStart: '2023-06-01 09:00:00', Latitude: '47.56', Longitude: '-52.71', GeoPrecision: 'zip' }
+  ]
+  assert.equal((await server.uploadCsv(admin, callsCsv(rows, ['Latitude', 'Longitude', 'GeoPrecision']))).status, 200)
+
+  await server.createRole(admin, { name: 'masked', permissions: ['data.view', 'chat.use'], masking: { CallerID: 'last4', CallerName: 'initials' } })
+  await server.createUser(admin, { username: 'analyst', password: USER_PASSWORD, role: 'masked', scopes: [{ column: 'CallerState', values: ['NV'] }] })
+  analyst = await server.login('analyst', USER_PASSWORD)
+})
+
+after(() => server.close())
+
+test('a one-row page carries the columns and the total', async () => {
+  const { body } = await server.request('GET', '/api/data?page=0&pageSize=1', { token: admin })
+  assert.equal(body.data.length, 1)
+  assert.equal(body.total, 4)
+  assert.ok(body.columns.includes('CallerState') && body.columns.includes('Latitude'))
+})
+
+test('suggestions are grouped by category with counts', async () => {
+  const { body } = await server.request('GET', '/api/data/suggestions?q=vegas', { token: admin })
+  assert.deepEqual(body.suggestions.location, [{ value: 'Las Vegas', field: 'CallerCity', count: 2 }])
+  assert.deepEqual(body.suggestions.name, [
+    { value: 'Vegas Realty', field: 'CallerName', count: 2 },
+    { value: 'Vegas Imports', field: 'CallerName', count: 1 }
+  ])
+})
+
+test('suggestions need two characters', async () => {
+  const { body } = await server.request('GET', '/api/data/suggestions?q=v', { token: admin })
+  assert.deepEqual(body.suggestions, {})
+})
+
+test('suggestions stay within scopes and leave out masked fields', async () => {
+  const { body } = await server.request('GET', '/api/data/suggestions?q=vegas', { token: analyst })
+  assert.equal(body.suggestions.name, undefined)
+  assert.deepEqual(body.suggestions.location, [{ value: 'Las Vegas', field: 'CallerCity', count: 2 }])
+  const phones = await server.request('GET', '/api/data/suggestions?q=555', { token: analyst })
+  assert.equal(phones.body.suggestions.phone, undefined)
+})
+
+test('date range covers the calls in scope', async () => {
+  assert.deepEqual((await server.request('GET', '/api/data/date-range', { token: admin })).body, { min: '2023-06-01', max: '2024-03-15' })
+  assert.deepEqual((await server.request('GET', '/api/data/date-range', { token: analyst })).body, { min: '2024-01-05', max: '2024-03-15' })
+})
+
+test('map locations are counted per point and follow the filters', async () => {
+  const { body } = await server.request('GET', '/api/metrics/locations', { token: admin })
+  assert.equal(body.mapped, 3)
+  assert.deepEqual(body.precisionCounts, { zip: 1, city: 2, state: 0 })
+  assert.deepEqual(body.points[0], { precision: 'city', lat: 36.17, lng: -115.14, city: 'Las Vegas', state: 'NV', zip: '', count: 2 })
+
+  const filtered = await server.request('GET', '/api/metrics/locations?start=2024-02-01', { token: admin })
+  assert.equal(filtered.body.mapped, 1)
+  const scoped = await server.request('GET', '/api/metrics/locations', { token: analyst })
+  assert.deepEqual(scoped.body.points.map(point => point.state), ['NV'])
+})
+
+test('the chat summary is aggregated for the dashboard filters', () => {
+  const { summary, total } = server.buildDataSummary({ filters: JSON.stringify({ CallerState: 'NV' }) }, [], {})
+  assert.equal(total, 3)
+  assert.match(summary, /^Total records: 3$/m)
+  assert.match(summary, /^Date range: 2024-01-05 09:00:00 to 2024-03-15 09:00:00$/m)
+})
+
+test('chat aggregations group in the database and skip masked columns', () => {
+  assert.deepEqual(server.aggregateCalls({}, { type: 'count', groupBy: 'CallerState' }, [], {}), [
+    { CallerState: 'NV', count: 3 },
+    { CallerState: 'NL', count: 1 }
+  ])
+  const scopes = [{ column: 'CallerState', values: ['NV'] }]
+  assert.deepEqual(server.aggregateCalls({}, { type: 'sum', column: 'CallDuration', groupBy: 'CallerCity' }, scopes, {}), [
+    { CallerCity: 'Las Vegas', sum: 120 },
+    { CallerCity: 'Reno', sum: 60 }
+  ])
+  assert.equal(server.aggregateCalls({}, { type: 'count', groupBy: 'CallerID' }, [], { CallerID: 'last4' }), null)
+})
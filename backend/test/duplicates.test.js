@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startServer, callsCsv } = require('./helpers')
+
+let server
+let token
+
+before(async () => {
+  server = await startServer()
+  token = await server.login()
+})
+
+after(() => server.close())
+
+async function upload(rows, name) {
+  const res = await server.uploadCsv(token, callsCsv(rows), name)
+  assert.equal(res.status, 200)
+  return res.body.file.id
+}
+
+async function visibleCallerNames() {
+  const { body } = await server.request('GET', '/api/data?page=0&pageSize=500&sort=CallID', { token })
+  return body.data.map(row => `${row.CallID}:${row.CallerName}`)
+}
+
+function duplicateCount(id) {
+  return server.db.prepare('SELECT duplicate_count FROM data_files WHERE id = ?').pluck().get(id)
+}
+
+test('duplicate policies decide which side of an overlap is visible', async () => {
+  const first = await upload([
+    { CallID: 'p1', CallerName: 'first' },
+    { CallID: 'p2', CallerName: 'first' }
+  ], 'first.csv')
+  const second = await upload([
+    { CallID: 'p2', CallerName: 'second' },
+    { CallID: 'p3', CallerName: 'second' }
+  ], 'second.csv')
+
+  // Skip is the default: the earlier row stays
+  assert.equal(duplicateCount(first), 0)
+  assert.equal(duplicateCount(second), 1)
+  assert.deepEqual(await visibleCallerNames(), ['p1:first', 'p2:first', 'p3:second'])
+
+  const policy = policy => server.request('PUT', `/api/files/${second}/duplicates`, { token, body: { policy } })
+  assert.equal((await policy('replace')).status, 200)
+  assert.deepEqual(await visibleCallerNames(), ['p1:first', 'p2:second', 'p3:second'])
+
+  await policy('keep')
+  assert.deepEqual(await visibleCallerNames(), ['p1:first', 'p2:first', 'p2:second', 'p3:second'])
+  assert.equal(duplicateCount(second), 1)
+
+  // Removing the earlier file leaves nothing to duplicate, restoring it brings the overlap back
+  await policy('skip')
+  assert.equal((await server.request('DELETE', `/api/files/${first}`, { token })).status, 200)
+  assert.equal(duplicateCount(second), 0)
+  assert.deepEqual(await visibleCallerNames(), ['p2:second', 'p3:second'])
+
+  assert.equal((await server.request('PUT', `/api/files/${first}/restore`, { token })).status, 200)
+  assert.equal(duplicateCount(second), 1)
+  assert.deepEqual(await visibleCallerNames(), ['p1:first', 'p2:first', 'p3:second'])
+})
+
+test('an upload only recomputes the calls its dedupe keys touch', async () => {
+  const existing = await upload([{ CallID: 'u1' }, { CallID: 'u2' }], 'existing.csv')
+  // Mark a row the next upload doesn't share a key with; a full recompute would clear it
+  server.db.prepare("UPDATE calls SET suppressed = 1 WHERE file_id = ? AND CallID = 'u1'").run(existing)
+
+  const overlapping = await upload([{ CallID: 'u2' }, { CallID: 'u3' }], 'overlapping.csv')
+  const suppressed = server.db.prepare('SELECT CallID FROM calls WHERE suppressed = 1 ORDER BY CallID').pluck()
+  assert.deepEqual(suppressed.all().filter(id => id.startsWith('u')), ['u1', 'u2'])
+  assert.equal(server.db.prepare("SELECT file_id FROM calls WHERE CallID = 'u2' AND suppressed = 1").pluck().get(), overlapping)
+})
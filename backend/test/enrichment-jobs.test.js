@@ -0,0 +1,49 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startServer, callsCsv, USER_PASSWORD } = require('./helpers')
+
+let server
+let admin
+
+before(async () => {
+  server = await startServer()
+  admin = await server.login()
+  // More rows than one chunk of a job
+  const rows = Array.from({ length: 1234 }, (_, i) => ({ CallID: `call-${i}`, CallerState: i % 2 ? 'CA' : 'NY' }))
+  assert.equal((await server.uploadCsv(admin, callsCsv(rows))).status, 200)
+  await server.createRole(admin, { name: 'enricher', permissions: ['data.view', 'enrich.run'] })
+  await server.createUser(admin, { username: 'uma', password: USER_PASSWORD, role: 'enricher' })
+  await server.createUser(admin, { username: 'vic', password: USER_PASSWORD, role: 'enricher' })
+})
+
+after(() => server.close())
+
+test('a job reads every row in chunks and stores a value for each', async () => {
+  const token = await server.login('uma', USER_PASSWORD)
+  const queued = await server.request('POST', '/api/enrich/pipeline', { token, body: { steps: ['timezone', 'geocode'] } })
+  assert.equal(queued.status, 202)
+  const job = await server.waitForJob(token, queued.body.job.id)
+  assert.equal(job.status, 'completed')
+  assert.equal(job.row_count, 1234)
+  assert.equal(job.processed_count, 1234 * 2)
+  assert.equal(job.progress, 100)
+  assert.equal(server.db.prepare("SELECT COUNT(*) FROM call_enrichments WHERE column_name = 'CallerTimezone'").pluck().get(), 1234)
+})
+
+test('jobs are only listed, shown and cancelled for the user who started them, or for admins', async () => {
+  const uma = await server.login('uma', USER_PASSWORD)
+  const vic = await server.login('vic', USER_PASSWORD)
+  const { body: { job } } = await server.request('POST', '/api/enrich/timezone', { token: uma })
+
+  const listed = async token => (await server.request('GET', '/api/enrich/jobs', { token })).body.jobs.map(j => j.id)
+  assert.ok((await listed(uma)).includes(job.id))
+  assert.ok((await listed(admin)).includes(job.id))
+  assert.deepEqual(await listed(vic), [])
+
+  assert.equal((await server.request('GET', `/api/enrich/jobs/${job.id}`, { token: vic })).status, 404)
+  assert.equal((await server.request('POST', `/api/enrich/jobs/${job.id}/cancel`, { token: vic })).status, 404)
+  assert.equal(server.db.prepare('SELECT cancel_requested FROM enrichment_jobs WHERE id = ?').pluck().get(job.id), 0)
+
+  assert.equal((await server.request('GET', `/api/enrich/jobs/${job.id}`, { token: admin })).status, 200)
+  assert.equal((await server.waitForJob(uma, job.id)).status, 'completed')
+})
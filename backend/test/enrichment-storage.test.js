@@ -0,0 +1,61 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const { tempDir, startServer, spawnServer, callsCsv } = require('./helpers')
+
+test('enrichment results are stored and survive a server restart', async () => {
+  const dir = tempDir()
+  let server = await spawnServer(dir)
+  try {
+    const token = await server.login()
+    const upload = await server.uploadCsv(token, callsCsv([
+      { CallID: 'a', CallerState: 'CA' },
+      { CallID: 'b', CallerState: 'NY' }
+    ]))
+    assert.equal(upload.status, 200)
+
+    const queued = await server.request('POST', '/api/enrich/timezone', { token })
+    assert.equal(queued.status, 202)
+    const job = await server.waitForJob(token, queued.body.job.id)
+    assert.equal(job.status, 'completed')
+    assert.equal(job.stored_count, 2)
+
+    await server.stop()
+    server = await spawnServer(dir)
+    const { body } = await server.request('GET', '/api/data?page=0&sort=CallID', { token: await server.login() })
+    assert.ok(body.columns.includes('CallerTimezone'))
+    assert.deepEqual(body.data.map(row => row.CallerTimezone), ['America/Los_Angeles', 'America/New_York'])
+  } finally {
+    await server.stop()
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+})
+
+test('a column leaves the data once a run has cleared its last value', async () => {
+  // A provider whose output the test switches between a value and nothing
+  const pluginDir = tempDir()
+  const pluginPath = path.join(pluginDir, 'tag.js')
+  fs.writeFileSync(pluginPath, "module.exports = { id: 'tag', outputs: ['Tag'], value: 'tagged', enrichRow: () => ({ Tag: module.exports.value }) }\n")
+  const server = await startServer({ ENRICHMENT_PLUGINS_DIR: pluginDir })
+  try {
+    const token = await server.login()
+    assert.equal((await server.uploadCsv(token, callsCsv([{ CallID: 'a' }, { CallID: 'b' }]))).status, 200)
+    const run = async () => {
+      const queued = await server.request('POST', '/api/enrich/tag', { token })
+      assert.equal((await server.waitForJob(token, queued.body.job.id)).status, 'completed')
+      return (await server.request('GET', '/api/data?page=0', { token })).body
+    }
+
+    const tagged = await run()
+    assert.ok(tagged.columns.includes('Tag'))
+    assert.deepEqual(tagged.data.map(row => row.Tag), ['tagged', 'tagged'])
+
+    require(pluginPath).value = null
+    const cleared = await run()
+    assert.ok(!cleared.columns.includes('Tag'))
+  } finally {
+    await server.close()
+    fs.rmSync(pluginDir, { recursive: true, force: true })
+  }
+})
@@ -0,0 +1,33 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startServer, callsCsv } = require('./helpers')
+
+let server
+let admin
+
+before(async () => {
+  server = await startServer()
+  admin = await server.login()
+  const rows = [
+    { CallID: 'zip', CallerZip: '89501-1234', CallerCity: 'Reno', CallerState: 'NV' },
+    { CallID: 'po-box', CallerZip: '89504', CallerCity: 'Reno', CallerState: 'NV' },
+    { CallID: 'small-town', CallerCity: 'Tonopah', CallerState: 'NV' },
+    { CallID: 'state', CallerCity: 'Nowhere', CallerState: 'NV' }
+  ]
+  assert.equal((await server.uploadCsv(admin, callsCsv(rows))).status, 200)
+  const queued = await server.request('POST', '/api/enrich/geocode', { token: admin })
+  assert.equal((await server.waitForJob(admin, queued.body.job.id)).status, 'completed')
+})
+
+after(() => server.close())
+
+test('the bundled gazetteers cover ZIP codes and small towns', async () => {
+  const { body } = await server.request('GET', '/api/data?page=0&sort=CallID', { token: admin })
+  const byId = Object.fromEntries(body.data.map(row => [row.CallID, row]))
+  assert.equal(byId.zip.GeoPrecision, 'zip')
+  assert.equal(Math.round(Number(byId.zip.Latitude)), 40)
+  assert.equal(byId['po-box'].GeoPrecision, 'city')
+  assert.equal(byId['small-town'].GeoPrecision, 'city')
+  assert.equal(Math.round(Number(byId['small-town'].Longitude)), -117)
+  assert.equal(byId.state.GeoPrecision, 'state')
+})
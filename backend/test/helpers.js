@@ -0,0 +1,192 @@
+// Shared setup for the backend tests. Each test file runs in its own process (node --test),
+// so it gets its own server, with a fresh database in a temporary directory
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const net = require('net')
+const { spawn } = require('child_process')
+
+const SERVER_PATH = path.join(__dirname, '../server.js')
+const ADMIN_PASSWORD = 'admin123'
+// Passes the password policy for the users tests create
+const USER_PASSWORD = 'Correct-horse-9'
+
+// Columns of the sample export, in its order
+const CALL_COLUMNS = [
+  'CallID', 'TeleCaptureName', 'Number', 'Destination', 'CallStart', 'CallEnd', 'CallDuration', 'CallAction',
+  'NoCallStatus', 'RingCount', 'CallerID', 'CallerName', 'CallerAddress', 'CallerCity', 'CallerState', 'CallerZip',
+  'CallerClass', 'CallerCarrier', 'CallRecorded', 'DIGITS'
+]
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'callpulse-test-'))
+}
+
+// Environment for a server storing everything under `dir`, without the bundled sample data
+function serverEnv(dir, env = {}) {
+  return {
+    DB_PATH: path.join(dir, 'test.db'),
+    DATA_DIR: path.join(dir, 'data'),
+    DATA_FILE: path.join(dir, 'no-sample-data.csv'),
+    ADMIN_PASSWORD,
+    ...env
+  }
+}
+
+// Load server.js into this process without listening, for unit tests of what it exports
+// (app, db and the functions the tests call)
+function loadServer(env = {}) {
+  const dir = tempDir()
+  Object.assign(process.env, serverEnv(dir, env))
+  const server = require(SERVER_PATH)
+  return {
+    ...server,
+    dir,
+    close: async () => {
+      // Let what server.js scheduled on load (e.g. starting queued enrichment jobs) run first
+      await new Promise(resolve => setImmediate(resolve))
+      server.db.close()
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  }
+}
+
+// Load server.js into this process and listen on a free port
+async function startServer(env = {}) {
+  const server = loadServer(env)
+  const listener = await new Promise(resolve => {
+    const l = server.app.listen(0, '127.0.0.1', () => resolve(l))
+  })
+  const baseUrl = `http://127.0.0.1:${listener.address().port}`
+  return {
+    ...server,
+    ...client(baseUrl),
+    baseUrl,
+    close: async () => {
+      await new Promise(resolve => listener.close(resolve))
+      await server.close()
+    }
+  }
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer()
+    probe.unref()
+    probe.on('error', reject)
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address()
+      probe.close(() => resolve(port))
+    })
+  })
+}
+
+// Run server.js as its own process, for tests that restart it on the same database
+async function spawnServer(dir, env = {}) {
+  const port = await freePort()
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: { ...process.env, ...serverEnv(dir, env), PORT: String(port) },
+    stdio: ['ignore', 'ignore', 'pipe']
+  })
+  let stderr = ''
+  child.stderr.on('data', chunk => { stderr += chunk })
+  const baseUrl = `http://127.0.0.1:${port}`
+  const deadline = Date.now() + 15000
+  for (;;) {
+    if (child.exitCode !== null) throw new Error(`Server exited: ${stderr}`)
+    try {
+      if ((await fetch(`${baseUrl}/api/health`)).ok) break
+    } catch {
+      // Not listening yet
+    }
+    if (Date.now() > deadline) {
+      child.kill()
+      throw new Error(`Server did not start: ${stderr}`)
+    }
+    await new Promise(resolve => setTimeout(resolve, 100))
+  }
+  return {
+    ...client(baseUrl),
+    baseUrl,
+    stop: () => new Promise(resolve => {
+      child.once('exit', resolve)
+      child.kill()
+    })
+  }
+}
+
+// JSON requests against one server: request() resolves to { status, body, headers }
+function client(baseUrl) {
+  async function request(method, url, { token, body, form, headers = {} } = {}) {
+    const options = { method, headers: { ...headers }, redirect: 'manual' }
+    if (token) options.headers.Authorization = `Bearer ${token}`
+    if (form) {
+      options.body = form
+    } else if (body !== undefined) {
+      options.headers['Content-Type'] = 'application/json'
+      options.body = JSON.stringify(body)
+    }
+    const res = await fetch(baseUrl + url, options)
+    const text = await res.text()
+    let parsed = text
+    try {
+      parsed = JSON.parse(text)
+    } catch {
+      // Not JSON (e.g. CSV exports or redirects)
+    }
+    return { status: res.status, body: parsed, headers: res.headers }
+  }
+
+  async function login(username = 'admin', password = ADMIN_PASSWORD, code) {
+    const res = await request('POST', '/api/auth', { body: { username, password, code } })
+    if (res.status !== 200) throw new Error(`Login as ${username} failed: ${res.status} ${JSON.stringify(res.body)}`)
+    return res.body.token
+  }
+
+  async function createUser(token, user) {
+    const res = await request('POST', '/api/admin/users', { token, body: user })
+    if (res.status !== 200) throw new Error(`Creating ${user.username} failed: ${JSON.stringify(res.body)}`)
+    return res.body.user
+  }
+
+  async function createRole(token, role) {
+    const res = await request('POST', '/api/admin/roles', { token, body: role })
+    if (res.status !== 200) throw new Error(`Creating role ${role.name} failed: ${JSON.stringify(res.body)}`)
+    return res.body.role
+  }
+
+  // Upload CSV text (see callsCsv) as a new data file
+  async function uploadCsv(token, csv, name = 'calls.csv') {
+    const form = new FormData()
+    form.append('file', new Blob([csv], { type: 'text/csv' }), name)
+    return request('POST', '/api/files/upload', { token, form })
+  }
+
+  async function waitForJob(token, id) {
+    const deadline = Date.now() + 15000
+    for (;;) {
+      const { body } = await request('GET', `/api/enrich/jobs/${id}`, { token })
+      if (!['queued', 'running'].includes(body.job.status)) return body.job
+      if (Date.now() > deadline) throw new Error(`Job ${id} did not finish`)
+      await new Promise(resolve => setTimeout(resolve, 50))
+    }
+  }
+
+  return { request, login, createUser, createRole, uploadCsv, waitForJob }
+}
+
+// A CSV in the sample export's layout, plus any extra columns. Each row only needs the fields a test cares about
+function callsCsv(rows, extraColumns = []) {
+  const columns = [...CALL_COLUMNS, ...extraColumns]
+  const quote = value => `"${String(value ?? '').replace(/"/g, '""')}"`
+  const lines = rows.map((row, i) => columns.map(col => {
+    if (row[col] !== undefined) return quote(row[col])
+    if (col === 'CallID') return quote(`test-${i + 1}`)
+    if (col === 'CallStart' || col === 'CallEnd') return quote('2024-03-01 10:00:00')
+    if (col === 'CallDuration') return quote(60)
+    return quote('')
+  }).join(','))
+  return [columns.map(quote).join(','), ...lines].join('\n') + '\n'
+}
+
+module.exports = { ADMIN_PASSWORD, USER_PASSWORD, CALL_COLUMNS, tempDir, loadServer, startServer, spawnServer, client, callsCsv }
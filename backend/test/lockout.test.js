@@ -0,0 +1,54 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startServer, USER_PASSWORD } = require('./helpers')
+
+let server
+let admin
+
+before(async () => {
+  server = await startServer({ LOGIN_MAX_FAILURES_PER_ACCOUNT: '3', LOGIN_MAX_FAILURES_PER_IP: '12' })
+  admin = await server.login()
+})
+
+after(() => server.close())
+
+const attempt = (username, password) => server.request('POST', '/api/auth', { body: { username, password } })
+
+test('an account is locked after repeated failures, without telling wrong passwords apart from unknown users', async () => {
+  const user = await server.createUser(admin, { username: 'lena', password: USER_PASSWORD, role: 'user' })
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await attempt('lena', 'wrong-password-1')).status, 401)
+  }
+  assert.ok(server.db.prepare('SELECT locked_until FROM users WHERE id = ?').pluck().get(user.id))
+
+  const locked = await attempt('lena', 'wrong-password-1')
+  const unknown = await attempt('nobody', 'wrong-password-1')
+  assert.equal(locked.status, 401)
+  assert.deepEqual(locked.body, unknown.body)
+
+  // Only the right password learns about the lock
+  assert.equal((await attempt('lena', USER_PASSWORD)).status, 423)
+
+  assert.equal((await server.request('PUT', `/api/admin/users/${user.id}/unlock`, { token: admin })).status, 200)
+  assert.equal((await attempt('lena', USER_PASSWORD)).status, 200)
+})
+
+test('a lock that has run out starts the count again', async () => {
+  const user = await server.createUser(admin, { username: 'otto', password: USER_PASSWORD, role: 'user' })
+  server.db.prepare('UPDATE users SET failed_logins = 3, locked_until = ? WHERE id = ?').run(new Date(Date.now() - 1000).toISOString(), user.id)
+
+  assert.equal((await attempt('otto', 'wrong-password-1')).status, 401)
+  const row = server.db.prepare('SELECT failed_logins, locked_until FROM users WHERE id = ?').get(user.id)
+  assert.deepEqual(row, { failed_logins: 1, locked_until: null })
+  assert.equal((await attempt('otto', USER_PASSWORD)).status, 200)
+})
+
+test('an IP with too many failures is turned away', async () => {
+  let res
+  for (let i = 0; i < 12; i++) {
+    res = await attempt('nobody', 'wrong-password-1')
+    if (res.status === 429) break
+  }
+  assert.equal(res.status, 429)
+  assert.ok(res.headers.get('retry-after'))
+})
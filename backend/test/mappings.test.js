@@ -0,0 +1,64 @@
+const { test, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { loadServer } = require('./helpers')
+
+const server = loadServer()
+const { VALUE_SNIFFERS, suggestColumnMappings } = server
+
+after(() => server.close())
+
+const rows = (columns, values) => values.map(row => Object.fromEntries(columns.map((col, i) => [col, row[i]])))
+
+test('value sniffers', () => {
+  assert.ok(VALUE_SNIFFERS.phone('(702) 555-0101'))
+  assert.ok(VALUE_SNIFFERS.phone('+1 702 555 0101'))
+  assert.ok(!VALUE_SNIFFERS.phone('555-0101'))
+  assert.ok(VALUE_SNIFFERS.timestamp('07-11-15 2:03'))
+  assert.ok(VALUE_SNIFFERS.timestamp('1494872820000'))
+  assert.ok(VALUE_SNIFFERS.state('nv'))
+  assert.ok(!VALUE_SNIFFERS.state('XX'))
+  assert.ok(VALUE_SNIFFERS.zip('89101-1234'))
+  assert.ok(VALUE_SNIFFERS.action('No Answer'))
+})
+
+test('a 10-digit phone number is not sniffed as an epoch timestamp', () => {
+  assert.ok(!VALUE_SNIFFERS.timestamp('7025550101'))
+  assert.ok(!VALUE_SNIFFERS.timestamp('1702555010'))
+  assert.ok(!VALUE_SNIFFERS.timestamp('2025550101'))
+})
+
+test('a phone column is suggested as CallerID, not as a call time', () => {
+  const columns = ['Caller_Phone', 'Started', 'Ended']
+  const data = rows(columns, [
+    ['7025550101', '2024-03-01 10:00', '2024-03-01 10:05'],
+    ['2025550147', '2024-03-01 11:00', '2024-03-01 11:02'],
+    ['1702555010', '2024-03-02 09:30', '2024-03-02 09:31']
+  ])
+  const suggestions = suggestColumnMappings(columns, data)
+  const bySource = Object.fromEntries(suggestions.map(s => [s.source, s.target]))
+  assert.equal(bySource.Caller_Phone, 'CallerID')
+  assert.ok(!suggestions.some(s => s.source === 'Caller_Phone' && ['CallStart', 'CallEnd'].includes(s.target)))
+})
+
+test('names and values combine into confidence, each target used once', () => {
+  const columns = ['Disposition', 'Talk Time', 'Zip Code', 'Status']
+  const data = rows(columns, [
+    ['Answer', '61', '89101', 'Answer'],
+    ['Hangup', '5', '89102', 'Hangup']
+  ])
+  const suggestions = suggestColumnMappings(columns, data)
+  const disposition = suggestions.find(s => s.source === 'Disposition')
+  assert.equal(disposition.target, 'CallAction')
+  assert.equal(disposition.confidence, 1)
+  assert.match(disposition.reason, /100% of values look like action/)
+  assert.equal(suggestions.find(s => s.source === 'Talk Time').target, 'CallDuration')
+  assert.equal(suggestions.find(s => s.source === 'Zip Code').target, 'CallerZip')
+  // CallAction is taken by the better match
+  assert.equal(suggestions.filter(s => s.target === 'CallAction').length, 1)
+})
+
+test('canonical columns are neither sources nor targets', () => {
+  const columns = ['CallerID', 'Phone']
+  const suggestions = suggestColumnMappings(columns, rows(columns, [['7025550101', '7025550101']]))
+  assert.ok(!suggestions.some(s => s.source === 'CallerID' || s.target === 'CallerID'))
+})
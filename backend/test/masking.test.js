@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startServer, callsCsv, USER_PASSWORD } = require('./helpers')
+
+let server
+let admin
+let analyst
+let fileId
+
+before(async () => {
+  server = await startServer()
+  admin = await server.login()
+  // NL isn't a state code, so that row also lands in the file's validation samples
+  const upload = await server.uploadCsv(admin, callsCsv([
+    { CallID: 'nl', CallerID: '5063928323', CallerName: 'Nora Lane', CallerState: 'NL' },
+    { CallID: 'nv', CallerID: '7025550100', CallerName: 'Vic Vega', CallerAddress: '1 Strip Rd', CallerState: 'NV', ZillowLink: 'https://www.zillow.com/homes/1-Strip-Rd' },
+    { CallID: 'nv2', CallerState: 'NV', ZillowLink: 'https://www.zillow.com/homes/2-Elm-St' }
+  ], ['ZillowLink']))
+  fileId = upload.body.file.id
+  await server.createRole(admin, { name: 'masked', permissions: ['data.view'], masking: { CallerID: 'last4', CallerName: 'initials', CallerAddress: 'hidden' } })
+  await server.createUser(admin, { username: 'analyst', password: USER_PASSWORD, role: 'masked', scopes: [{ column: 'CallerState', values: ['NV'] }] })
+  analyst = await server.login('analyst', USER_PASSWORD)
+})
+
+after(() => server.close())
+
+test('a masked, scoped user gets no caller details through the file routes', async () => {
+  const responses = await Promise.all([
+    '/api/files',
+    '/api/data?page=0',
+    `/api/files/${fileId}/preview`,
+    `/api/files/${fileId}/validation`
+  ].map(url => server.request('GET', url, { token: analyst })))
+  for (const res of responses) {
+    assert.equal(res.status, 200)
+    const text = JSON.stringify(res.body)
+    for (const secret of ['5063928323', '7025550100', 'Nora Lane', 'Vic Vega', '1 Strip Rd']) {
+      assert.ok(!text.includes(secret), `${secret} in ${text}`)
+    }
+    assert.ok(!text.includes('validation_report') && !text.includes('file_path'))
+  }
+})
+
+test('columns derived from a masked address cannot be filtered, searched, sorted or grouped on', async () => {
+  const ids = async query => (await server.request('GET', `/api/data?page=0&${query}`, { token: analyst })).body.data.map(row => row.CallID).sort()
+  assert.deepEqual(await ids(`filters=${encodeURIComponent(JSON.stringify({ ZillowLink: 'Strip' }))}`), ['nv', 'nv2'])
+  assert.deepEqual(await ids('field=ZillowLink&value=https://www.zillow.com/homes/1-Strip-Rd'), ['nv', 'nv2'])
+  assert.deepEqual(await ids('search=Strip-Rd'), [])
+  assert.deepEqual((await server.request('GET', '/api/data?page=0&sort=ZillowLink&direction=desc', { token: analyst })).body.data.map(row => row.CallID), ['nv', 'nv2'])
+
+  const masking = { CallerAddress: 'hidden' }
+  assert.equal(server.aggregateCalls({}, { type: 'count', groupBy: 'ZillowLink' }, [], masking), null)
+  assert.ok(server.aggregateCalls({}, { type: 'count', groupBy: 'ZillowLink' }, [], {}).length > 0)
+
+  // Admins still can
+  const filtered = await server.request('GET', `/api/data?page=0&filters=${encodeURIComponent(JSON.stringify({ ZillowLink: 'Strip' }))}`, { token: admin })
+  assert.deepEqual(filtered.body.data.map(row => row.CallID), ['nv'])
+})
+
+test('file listings carry the number of invalid rows instead of the report', async () => {
+  const { body } = await server.request('GET', '/api/files', { token: admin })
+  assert.equal(body.files[0].invalid_row_count, 1)
+  const validation = await server.request('GET', `/api/files/${fileId}/validation`, { token: admin })
+  assert.equal(validation.body.report.rules.state.samples[0].CallerID, '5063928323')
+})
+
+test('maskRows masks each column the way the policy says and drops derived columns', () => {
+  const rows = [{ CallerID: '(702) 555-0100', CallerName: 'vic  vega', CallerAddress: '1 Strip Rd', ZillowLink: 'https://zillow.com/x', CallerState: 'NV' }]
+  assert.deepEqual(server.maskRows(rows, { CallerID: 'last4', CallerName: 'initials', CallerAddress: 'hidden' }), [
+    { CallerID: '***-***-0100', CallerName: 'V. V.', CallerAddress: '[hidden]', ZillowLink: null, CallerState: 'NV' }
+  ])
+  assert.deepEqual(server.maskRows([{ CallerID: '911', CallerName: '' }], { CallerID: 'last4', CallerName: 'hidden' }), [
+    { CallerID: '****', CallerName: '' }
+  ])
+})
+
+test('maskRows returns the rows as they are when nothing is masked', () => {
+  const rows = [{ CallerID: '7025550100' }]
+  assert.equal(server.maskRows(rows, {}), rows)
+  assert.equal(server.maskRows(rows, { CallerID: null }), rows)
+})
@@ -0,0 +1,187 @@
+const crypto = require('crypto')
+const http = require('http')
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startServer, USER_PASSWORD } = require('./helpers')
+
+const CLIENT_ID = 'callpulse'
+const CLIENT_SECRET = 'client-secret'
+
+// A minimal OpenID provider: discovery, JWKS and a token endpoint that checks the client and
+// the PKCE verifier. Tests authorize by adding a code to `codes` themselves
+function startIssuer() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+  const codes = new Map()
+  const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify(body))
+    }
+    if (req.url === '/.well-known/openid-configuration') {
+      return send(200, {
+        issuer: issuer.url,
+        authorization_endpoint: `${issuer.url}/authorize`,
+        token_endpoint: `${issuer.url}/token`,
+        jwks_uri: `${issuer.url}/jwks`
+      })
+    }
+    if (req.url === '/jwks') {
+      return send(200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' }] })
+    }
+    if (req.url === '/token' && req.method === 'POST') {
+      let body = ''
+      req.on('data', chunk => { body += chunk })
+      req.on('end', () => {
+        const params = new URLSearchParams(body)
+        const client = Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')
+        if (req.headers.authorization !== `Basic ${client}`) return send(401, { error: 'invalid_client' })
+        const grant = codes.get(params.get('code'))
+        codes.delete(params.get('code'))
+        const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url')
+        if (!grant || grant.challenge !== challenge) return send(400, { error: 'invalid_grant' })
+        send(200, { id_token: issuer.sign(grant.claims), token_type: 'Bearer' })
+      })
+      return
+    }
+    send(404, { error: 'not_found' })
+  })
+
+  const issuer = {
+    codes,
+    sign(claims) {
+      const now = Math.floor(Date.now() / 1000)
+      const header = Buffer.from(JSON.stringify({ alg: 'RS256', kid: 'test-key', typ: 'JWT' })).toString('base64url')
+      const payload = Buffer.from(JSON.stringify({ iss: issuer.url, aud: CLIENT_ID, iat: now, exp: now + 300, ...claims })).toString('base64url')
+      const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url')
+      return `${header}.${payload}.${signature}`
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  }
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    issuer.url = `http://127.0.0.1:${server.address().port}`
+    resolve(issuer)
+  }))
+}
+
+let issuer
+let server
+let admin
+
+before(async () => {
+  issuer = await startIssuer()
+  server = await startServer({ OIDC_ISSUER: issuer.url, OIDC_CLIENT_ID: CLIENT_ID, OIDC_CLIENT_SECRET: CLIENT_SECRET })
+  admin = await server.login()
+})
+
+after(async () => {
+  await server.close()
+  await issuer.close()
+})
+
+// Go through the browser's part of a sign-in: start it, let the provider issue a code for
+// `claims`, and follow the provider's redirect back. Resolves to what the app is sent to
+async function ssoSignIn(claims, { nonce, state, cookie, challenge } = {}) {
+  const start = await server.request('GET', '/api/auth/oidc/login')
+  assert.equal(start.status, 302)
+  const authorize = new URL(start.headers.get('location'))
+  assert.equal(authorize.origin + authorize.pathname, `${issuer.url}/authorize`)
+  assert.equal(authorize.searchParams.get('code_challenge_method'), 'S256')
+
+  const code = crypto.randomBytes(16).toString('hex')
+  issuer.codes.set(code, {
+    challenge: challenge ?? authorize.searchParams.get('code_challenge'),
+    claims: { nonce: nonce ?? authorize.searchParams.get('nonce'), ...claims }
+  })
+  const stateCookie = start.headers.get('set-cookie').split(';')[0]
+  const callback = await server.request('GET', `/api/auth/oidc/callback?${new URLSearchParams({ code, state: state ?? authorize.searchParams.get('state') })}`, {
+    headers: { Cookie: cookie ?? stateCookie }
+  })
+  assert.equal(callback.status, 302)
+  const location = new URL(callback.headers.get('location'), server.baseUrl)
+  const fragment = new URLSearchParams(location.hash.slice(1))
+  return { token: fragment.get('sso'), ticket: fragment.get('sso2fa'), error: location.searchParams.get('ssoError') }
+}
+
+const whoAmI = async token => (await server.request('GET', '/api/auth/me', { token })).body.user?.username
+
+test('the code flow with PKCE links a user by verified email, then by subject', async () => {
+  await server.createUser(admin, { username: 'ada', email: 'Ada@example.com', password: USER_PASSWORD, role: 'user' })
+
+  const first = await ssoSignIn({ sub: 'sub-ada', email: 'ada@example.com', email_verified: true })
+  assert.equal(first.error, null)
+  assert.equal(await whoAmI(first.token), 'ada')
+
+  const again = await ssoSignIn({ sub: 'sub-ada', email: 'ada@elsewhere.example' })
+  assert.equal(await whoAmI(again.token), 'ada')
+})
+
+test('an email the provider has not verified links no account', async () => {
+  await server.createUser(admin, { username: 'bea', email: 'bea@example.com', password: USER_PASSWORD, role: 'user' })
+  for (const emailVerified of [false, undefined, 'true']) {
+    const { token, error } = await ssoSignIn({ sub: 'sub-mallory', email: 'bea@example.com', email_verified: emailVerified })
+    assert.equal(token, null)
+    assert.equal(error, 'No account is linked to this identity')
+  }
+})
+
+test('accounts that can manage users are not linked by email without OIDC_LINK_ADMINS', async () => {
+  await server.createUser(admin, { username: 'boss', email: 'boss@example.com', password: USER_PASSWORD, role: 'admin' })
+  const { token, error } = await ssoSignIn({ sub: 'sub-boss', email: 'boss@example.com', email_verified: true })
+  assert.equal(token, null)
+  assert.match(error, /sign in with your password/)
+  assert.equal(server.db.prepare("SELECT oidc_subject FROM users WHERE username = 'boss'").pluck().get(), null)
+})
+
+test('a callback with another state, or without the state cookie, is refused', async () => {
+  await server.createUser(admin, { username: 'cal', email: 'cal@example.com', password: USER_PASSWORD, role: 'user' })
+  const claims = { sub: 'sub-cal', email: 'cal@example.com', email_verified: true }
+  for (const options of [{ state: 'forged-state' }, { cookie: 'oidc_state=forged-state' }]) {
+    const { token, error } = await ssoSignIn(claims, options)
+    assert.equal(token, null)
+    assert.equal(error, 'The sign-in attempt expired, please try again')
+  }
+})
+
+test('a code issued for another PKCE challenge is not exchanged', async () => {
+  await server.createUser(admin, { username: 'gus', email: 'gus@example.com', password: USER_PASSWORD, role: 'user' })
+  const { token, error } = await ssoSignIn({ sub: 'sub-gus', email: 'gus@example.com', email_verified: true }, { challenge: 'intercepted' })
+  assert.equal(token, null)
+  assert.match(error, /invalid_grant/)
+})
+
+test('an ID token issued for another nonce is refused', async () => {
+  await server.createUser(admin, { username: 'dee', email: 'dee@example.com', password: USER_PASSWORD, role: 'user' })
+  const { token, error } = await ssoSignIn({ sub: 'sub-dee', email: 'dee@example.com', email_verified: true }, { nonce: 'replayed-nonce' })
+  assert.equal(token, null)
+  assert.equal(error, 'ID token nonce does not match')
+})
+
+test('locked accounts are refused', async () => {
+  const user = await server.createUser(admin, { username: 'eve', email: 'eve@example.com', password: USER_PASSWORD, role: 'user' })
+  server.db.prepare('UPDATE users SET locked_until = ? WHERE id = ?').run(new Date(Date.now() + 60000).toISOString(), user.id)
+  const { token, error } = await ssoSignIn({ sub: 'sub-eve', email: 'eve@example.com', email_verified: true })
+  assert.equal(token, null)
+  assert.match(error, /Account locked/)
+})
+
+test('accounts with 2FA still need a code after signing in with the provider', async () => {
+  await server.createUser(admin, { username: 'finn', email: 'finn@example.com', password: USER_PASSWORD, role: 'user' })
+  const password = await server.login('finn', USER_PASSWORD)
+  const { body: { secret } } = await server.request('POST', '/api/auth/2fa/setup', { token: password })
+  const step = Math.floor(Date.now() / 1000 / 30)
+  await server.request('POST', '/api/auth/2fa/enable', { token: password, body: { code: server.totpCode(secret, step) } })
+
+  const { token, ticket } = await ssoSignIn({ sub: 'sub-finn', email: 'finn@example.com', email_verified: true })
+  assert.equal(token, null)
+  assert.ok(ticket)
+
+  const wrong = await server.request('POST', '/api/auth/oidc/2fa', { body: { ticket, code: '000000' } })
+  assert.equal(wrong.status, 401)
+  assert.equal(wrong.body.twoFactorRequired, true)
+
+  const signedIn = await server.request('POST', '/api/auth/oidc/2fa', { body: { ticket, code: server.totpCode(secret, step + 1) } })
+  assert.equal(signedIn.status, 200)
+  assert.equal(await whoAmI(signedIn.body.token), 'finn')
+  // The ticket is used up
+  assert.equal((await server.request('POST', '/api/auth/oidc/2fa', { body: { ticket, code: server.totpCode(secret, step + 1) } })).status, 401)
+})
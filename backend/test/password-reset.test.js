@@ -0,0 +1,64 @@
+const crypto = require('crypto')
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startServer, USER_PASSWORD } = require('./helpers')
+
+let server
+let admin
+
+before(async () => {
+  server = await startServer({ PASSWORD_RESET_HOURS: '2' })
+  admin = await server.login()
+})
+
+after(() => server.close())
+
+const NEW_PASSWORD = 'Battery-staple-7'
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex')
+
+async function resetLink(username) {
+  const user = await server.createUser(admin, { username, password: USER_PASSWORD, role: 'user' })
+  const { body } = await server.request('POST', `/api/admin/users/${user.id}/reset-token`, { token: admin })
+  return { user, token: body.token, expiresAt: body.expiresAt }
+}
+
+test('reset tokens are stored hashed and expire after PASSWORD_RESET_HOURS', async () => {
+  const { user, token } = await resetLink('rhea')
+  const row = server.db.prepare('SELECT * FROM password_resets WHERE user_id = ?').get(user.id)
+  assert.equal(row.token_hash, sha256(token))
+  assert.ok(!JSON.stringify(row).includes(token))
+  const hours = server.db.prepare('SELECT (julianday(expires_at) - julianday(created_at)) * 24 FROM password_resets WHERE id = ?').pluck().get(row.id)
+  assert.equal(Math.round(hours), 2)
+
+  const check = await server.request('GET', `/api/auth/reset/${token}`)
+  assert.equal(check.status, 200)
+  assert.equal(check.body.username, 'rhea')
+})
+
+test('a reset sets the password once and signs the user out everywhere', async () => {
+  const { token } = await resetLink('remy')
+  const session = await server.login('remy', USER_PASSWORD)
+
+  const weak = await server.request('POST', '/api/auth/reset', { body: { token, password: 'short' } })
+  assert.equal(weak.status, 400)
+
+  assert.equal((await server.request('POST', '/api/auth/reset', { body: { token, password: NEW_PASSWORD } })).status, 200)
+  assert.equal((await server.request('GET', '/api/auth/me', { token: session })).status, 401)
+  assert.ok(await server.login('remy', NEW_PASSWORD))
+
+  const reused = await server.request('POST', '/api/auth/reset', { body: { token, password: 'Another-pass-8' } })
+  assert.equal(reused.status, 404)
+})
+
+test('an expired link no longer works', async () => {
+  const { user, token } = await resetLink('rory')
+  server.db.prepare("UPDATE password_resets SET expires_at = datetime('now', '-1 minute') WHERE user_id = ?").run(user.id)
+  assert.equal((await server.request('GET', `/api/auth/reset/${token}`)).status, 404)
+  assert.equal((await server.request('POST', '/api/auth/reset', { body: { token, password: NEW_PASSWORD } })).status, 404)
+})
+
+test('a new link replaces the earlier one', async () => {
+  const { user, token } = await resetLink('rosa')
+  await server.request('POST', `/api/admin/users/${user.id}/reset-token`, { token: admin })
+  assert.equal((await server.request('GET', `/api/auth/reset/${token}`)).status, 404)
+})
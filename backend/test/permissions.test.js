@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startServer, callsCsv, USER_PASSWORD } = require('./helpers')
+
+let server
+let adminToken
+
+before(async () => {
+  server = await startServer()
+  adminToken = await server.login()
+  assert.equal((await server.uploadCsv(adminToken, callsCsv([{ CallID: 'a' }]))).status, 200)
+})
+
+after(() => server.close())
+
+async function userWithRole(username, role) {
+  await server.createUser(adminToken, { username, password: USER_PASSWORD, role })
+  return server.login(username, USER_PASSWORD)
+}
+
+test('routes refuse users whose role lacks the permission they declare', async () => {
+  await server.createRole(adminToken, { name: 'viewer', permissions: ['data.view'] })
+  const token = await userWithRole('vera', 'viewer')
+
+  assert.equal((await server.request('GET', '/api/data?page=0', { token })).status, 200)
+  const refused = [
+    ['GET', '/api/data/export', 'data.export'],
+    ['POST', '/api/enrich/timezone', 'enrich.run'],
+    ['POST', '/api/chat', 'chat.use'],
+    ['GET', '/api/admin/users', 'users.manage'],
+    ['DELETE', '/api/files/1', 'files.delete']
+  ]
+  for (const [method, url, permission] of refused) {
+    const res = await server.request(method, url, { token, body: method === 'GET' ? undefined : {} })
+    assert.equal(res.status, 403, `${method} ${url}`)
+    assert.equal(res.body.error, `Permission required: ${permission}`)
+  }
+  assert.equal((await server.uploadCsv(token, callsCsv([{ CallID: 'b' }]))).status, 403)
+})
+
+test('permission changes apply to sessions that are already signed in', async () => {
+  await server.createRole(adminToken, { name: 'uploader', permissions: ['data.view'] })
+  const token = await userWithRole('ulla', 'uploader')
+  assert.equal((await server.uploadCsv(token, callsCsv([{ CallID: 'c' }]))).status, 403)
+
+  const granted = await server.request('PUT', '/api/admin/roles/uploader', { token: adminToken, body: { permissions: ['data.view', 'files.upload'] } })
+  assert.deepEqual(granted.body.role.permissions, ['data.view', 'files.upload'])
+  assert.equal((await server.uploadCsv(token, callsCsv([{ CallID: 'c' }]))).status, 200)
+})
+
+test('the built-in user role can upload but not manage files or users', async () => {
+  const token = await userWithRole('uma', 'user')
+  const { body } = await server.request('GET', '/api/auth/me', { token })
+  assert.deepEqual(body.user.permissions, ['chat.use', 'data.export', 'data.view', 'enrich.run', 'files.upload'])
+  assert.equal((await server.request('PUT', '/api/files/1/duplicates', { token, body: { policy: 'keep' } })).status, 403)
+  assert.equal((await server.request('POST', '/api/admin/roles', { token, body: { name: 'mine', permissions: ['users.manage'] } })).status, 403)
+})
+
+test('roles only accept known permissions, and built-in roles stay', async () => {
+  const unknown = await server.request('POST', '/api/admin/roles', { token: adminToken, body: { name: 'bad', permissions: ['files.everything'] } })
+  assert.equal(unknown.status, 400)
+  assert.equal((await server.request('PUT', '/api/admin/roles/admin', { token: adminToken, body: { permissions: [] } })).status, 400)
+  assert.equal((await server.request('DELETE', '/api/admin/roles/user', { token: adminToken })).status, 400)
+})
+
+test('the last active admin cannot be moved to another role', async () => {
+  const { body: { user: admin } } = await server.request('GET', '/api/auth/me', { token: adminToken })
+  const demote = id => server.request('PUT', `/api/admin/users/${id}`, { token: adminToken, body: { role: 'user' } })
+  const refused = await demote(admin.id)
+  assert.equal(refused.status, 400)
+  assert.equal(refused.body.error, 'Cannot change the role of the last admin')
+  assert.equal(server.db.prepare('SELECT role FROM users WHERE id = ?').pluck().get(admin.id), 'admin')
+
+  const second = await server.createUser(adminToken, { username: 'second-admin', password: USER_PASSWORD, role: 'admin' })
+  assert.equal((await demote(second.id)).status, 200)
+  assert.equal((await demote(admin.id)).status, 400)
+})
@@ -0,0 +1,51 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const { startServer } = require('./helpers')
+
+let server
+let token
+let file
+
+before(async () => {
+  server = await startServer()
+  token = await server.login()
+  const upload = await server.uploadCsv(token, 'CallID,CallStart,Phone\na,2024-03-01 10:00:00,7025550101\nb,2024-03-01 11:00:00,2135550101\n')
+  file = server.db.prepare('SELECT * FROM data_files WHERE id = ?').get(upload.body.file.id)
+})
+
+after(() => server.close())
+
+const mappingsOf = async () => (await server.request('GET', `/api/files/${file.id}/mappings`, { token })).body.mappings
+const callIds = async () => (await server.request('GET', '/api/data?page=0&sort=CallID', { token })).body.data.map(row => row.CallID)
+
+test('a re-mapping whose re-read fails keeps the rows and the previous mappings', async () => {
+  const before = await mappingsOf()
+  const stored = server.db.prepare('SELECT * FROM calls WHERE file_id = ? ORDER BY id').all(file.id)
+
+  // A directory in place of the upload can be found but not read
+  const saved = fs.readFileSync(file.file_path)
+  fs.rmSync(file.file_path)
+  fs.mkdirSync(file.file_path)
+  try {
+    const res = await server.request('PUT', `/api/files/${file.id}/mappings`, { token, body: { mappings: [{ source: 'Phone', target: 'CallerID' }] } })
+    assert.equal(res.status, 500)
+  } finally {
+    fs.rmSync(file.file_path, { recursive: true })
+    fs.writeFileSync(file.file_path, saved)
+  }
+
+  assert.deepEqual(await callIds(), ['a', 'b'])
+  assert.deepEqual(await mappingsOf(), before)
+  assert.deepEqual(server.db.prepare('SELECT * FROM calls WHERE file_id = ? ORDER BY id').all(file.id), stored)
+  const restored = server.db.prepare('SELECT ingested_at, row_count, columns FROM data_files WHERE id = ?').get(file.id)
+  assert.deepEqual(restored, { ingested_at: file.ingested_at, row_count: 2, columns: file.columns })
+})
+
+test('a re-mapping that reads applies the new mappings', async () => {
+  const res = await server.request('PUT', `/api/files/${file.id}/mappings`, { token, body: { mappings: [{ source: 'Phone', target: 'CallerID' }] } })
+  assert.equal(res.status, 200)
+  assert.equal(res.body.rowCount, 2)
+  const { body } = await server.request('GET', '/api/data?page=0&sort=CallID', { token })
+  assert.deepEqual(body.data.map(row => row.CallerID), ['7025550101', '2135550101'])
+})
@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { USER_PASSWORD, startServer, callsCsv } = require('./helpers')
+
+let server
+let admin
+let analyst
+let mixedId
+
+before(async () => {
+  server = await startServer()
+  admin = await server.login()
+  // XX isn't a state code, so that row fails validation
+  const mixed = await server.uploadCsv(admin, callsCsv([
+    { CallID: 'nv-1', TeleCaptureName: 'SoCal Clone House', CallerState: 'NV', CallStart: '2024-02-01 09:00:00' },
+    { CallID: 'ca-1', TeleCaptureName: 'SoCal Clone House', CallerState: 'CA', CallStart: '2024-01-01 09:00:00' },
+    { CallID: 'xx-1', TeleCaptureName: 'Other Client', CallerState: 'XX', CallStart: '2024-03-01 09:00:00' }
+  ]), 'mixed.csv')
+  mixedId = mixed.body.file.id
+  await server.uploadCsv(admin, callsCsv([{ CallID: 'ca-2', CallerState: 'CA' }]), 'california.csv')
+
+  await server.createUser(admin, {
+    username: 'analyst',
+    password: USER_PASSWORD,
+    role: 'user',
+    scopes: [{ column: 'TeleCaptureName', values: ['SoCal Clone House'] }, { column: 'CallerState', values: ['nv', ' CA '] }]
+  })
+  analyst = await server.login('analyst', USER_PASSWORD)
+})
+
+after(() => server.close())
+
+test('scopeConditions matches one value of every scope, trimmed and case-insensitively', () => {
+  const { conditions, params } = server.scopeConditions([
+    { column: 'TeleCaptureName', values: ['SoCal Clone House'] },
+    { column: 'CallerState', values: ['NV', 'CA'] }
+  ])
+  assert.deepEqual(conditions, [
+    'LOWER(TRIM(c."TeleCaptureName")) IN (?)',
+    'LOWER(TRIM(c."CallerState")) IN (?, ?)'
+  ])
+  assert.deepEqual(params, ['socal clone house', 'nv', 'ca'])
+  assert.deepEqual(server.scopeConditions([]), { conditions: [], params: [] })
+})
+
+test('scoped users only see the rows within their scopes', async () => {
+  const { body } = await server.request('GET', '/api/data?page=0&sort=CallID', { token: analyst })
+  assert.deepEqual(body.data.map(row => row.CallID), ['ca-1', 'nv-1'])
+  assert.equal(body.total, 2)
+})
+
+test('file counts and date ranges only cover the rows a scoped user can see', async () => {
+  const { body } = await server.request('GET', '/api/files', { token: analyst })
+  // The other file has no row for the scoped client
+  assert.deepEqual(body.files.map(file => file.original_name), ['mixed.csv'])
+  const [file] = body.files
+  assert.equal(file.row_count, 2)
+  assert.equal(file.invalid_row_count, 0)
+  assert.equal(file.date_range_start.slice(0, 10), '2024-01-01')
+  assert.equal(file.date_range_end.slice(0, 10), '2024-02-01')
+
+  const data = await server.request('GET', '/api/data?page=0', { token: analyst })
+  assert.deepEqual(Object.fromEntries(data.body.files.map(f => [f.original_name, f.row_count])), { 'mixed.csv': 2, 'california.csv': 0 })
+
+  const validation = await server.request('GET', `/api/files/${mixedId}/validation`, { token: analyst })
+  assert.equal(validation.body.report.rowCount, 2)
+  assert.equal(validation.body.report.failedRows, 0)
+  assert.equal(validation.body.report.rules.state.count, 0)
+
+  const versions = await server.request('GET', `/api/files/${mixedId}/versions`, { token: analyst })
+  assert.equal(versions.body.versions[0].row_count, 2)
+})
+
+test('users without scopes see whole-file counts', async () => {
+  const { body } = await server.request('GET', '/api/files', { token: admin })
+  const counts = Object.fromEntries(body.files.map(file => [file.original_name, file.row_count]))
+  assert.deepEqual(counts, { 'california.csv': 1, 'mixed.csv': 3 })
+  const validation = await server.request('GET', `/api/files/${mixedId}/validation`, { token: admin })
+  assert.equal(validation.body.report.rules.state.count, 1)
+})
@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startServer } = require('./helpers')
+
+let server
+
+before(async () => {
+  server = await startServer({ SESSION_IDLE_MINUTES: '30', SESSION_MAX_HOURS: '8' })
+})
+
+after(() => server.close())
+
+// Sign in and return the token with its row in the sessions table
+async function newSession() {
+  const token = await server.login()
+  return { token, id: server.db.prepare('SELECT id FROM sessions WHERE token = ?').pluck().get(token) }
+}
+
+const me = token => server.request('GET', '/api/auth/me', { token })
+const setSession = (id, column, modifier) => server.db.prepare(`UPDATE sessions SET ${column} = datetime('now', ?) WHERE id = ?`).run(modifier, id)
+
+test('a session lasts SESSION_MAX_HOURS from login', async () => {
+  const { id } = await newSession()
+  const hours = server.db.prepare('SELECT (julianday(expires_at) - julianday(created_at)) * 24 FROM sessions WHERE id = ?').pluck().get(id)
+  assert.equal(Math.round(hours), 8)
+})
+
+test('a session ends at its absolute expiry even while it is being used', async () => {
+  const { token, id } = await newSession()
+  assert.equal((await me(token)).status, 200)
+  setSession(id, 'expires_at', '-1 minute')
+  assert.equal((await me(token)).status, 401)
+})
+
+test('a session ends after SESSION_IDLE_MINUTES without a request', async () => {
+  const { token, id } = await newSession()
+  setSession(id, 'last_seen_at', '-29 minutes')
+  assert.equal((await me(token)).status, 200)
+
+  const idle = await newSession()
+  setSession(idle.id, 'last_seen_at', '-31 minutes')
+  assert.equal((await me(idle.token)).status, 401)
+})
+
+test('requests slide the idle timeout', async () => {
+  const { token, id } = await newSession()
+  setSession(id, 'last_seen_at', '-20 minutes')
+  assert.equal((await me(token)).status, 200)
+  const idleFor = server.db.prepare("SELECT (julianday('now') - julianday(last_seen_at)) * 24 * 60 FROM sessions WHERE id = ?").pluck().get(id)
+  assert.ok(idleFor < 1, `last seen ${idleFor} minutes ago`)
+})
+
+test('sessions can be listed and signed out of', async () => {
+  const current = await newSession()
+  const other = await newSession()
+  const { body } = await server.request('GET', '/api/auth/sessions', { token: current.token })
+  assert.equal(body.idleMinutes, 30)
+  assert.equal(body.sessions.find(session => session.id === current.id).current, true)
+
+  assert.equal((await server.request('DELETE', `/api/auth/sessions/${other.id}`, { token: current.token })).status, 200)
+  assert.equal((await me(other.token)).status, 401)
+
+  const third = await newSession()
+  await server.request('DELETE', '/api/auth/sessions', { token: current.token })
+  assert.equal((await me(third.token)).status, 401)
+  assert.equal((await me(current.token)).status, 200)
+})
+
+test('logging out ends the session', async () => {
+  const { token } = await newSession()
+  assert.equal((await server.request('POST', '/api/auth/logout', { token })).status, 200)
+  assert.equal((await me(token)).status, 401)
+})
@@ -0,0 +1,58 @@
+const { test, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { loadServer } = require('./helpers')
+
+const server = loadServer()
+const { parseTimestamp, detectTimestampFormat } = server
+
+after(() => server.close())
+
+test('ISO timestamps keep their wall time unless they carry an offset', () => {
+  assert.equal(parseTimestamp('2017-05-15 18:27', 'iso'), '2017-05-15 18:27:00')
+  assert.equal(parseTimestamp('2017-05-15T18:27:09.123', 'iso'), '2017-05-15 18:27:09')
+  assert.equal(parseTimestamp('2017-05-15', 'iso'), '2017-05-15 00:00:00')
+  assert.equal(parseTimestamp('2017-05-15T18:27:00Z', 'iso'), '2017-05-15 18:27:00')
+  assert.equal(parseTimestamp('2017-05-15T18:27:00-07:00', 'iso'), '2017-05-16 01:27:00')
+  assert.equal(parseTimestamp('05-15-2017', 'iso'), null)
+})
+
+test('month-first and day-first dates, two-digit years and 12-hour times', () => {
+  assert.equal(parseTimestamp('07-11-15 2:03', 'mdy'), '2015-07-11 02:03:00')
+  assert.equal(parseTimestamp('07-11-15 2:03', 'dmy'), '2015-11-07 02:03:00')
+  assert.equal(parseTimestamp('5/15/2017 6:27 PM', 'mdy'), '2017-05-15 18:27:00')
+  assert.equal(parseTimestamp('5/15/2017 12:05 AM', 'mdy'), '2017-05-15 00:05:00')
+  assert.equal(parseTimestamp('01/02/69', 'mdy'), '2069-01-02 00:00:00')
+  assert.equal(parseTimestamp('01/02/70', 'mdy'), '1970-01-02 00:00:00')
+})
+
+test('impossible dates and times are rejected rather than rolled over', () => {
+  assert.equal(parseTimestamp('02-30-2017', 'mdy'), null)
+  assert.equal(parseTimestamp('15-05-2017', 'mdy'), null)
+  assert.equal(parseTimestamp('05-15-2017 24:00', 'mdy'), null)
+  assert.equal(parseTimestamp('5/15/2017 13:00 PM', 'mdy'), null)
+  assert.equal(parseTimestamp('', 'mdy'), null)
+  assert.equal(parseTimestamp(null, 'iso'), null)
+})
+
+test('epoch seconds and milliseconds', () => {
+  assert.equal(parseTimestamp('1494872820', 'epoch'), '2017-05-15 18:27:00')
+  assert.equal(parseTimestamp('1494872820000', 'epoch'), '2017-05-15 18:27:00')
+  assert.equal(parseTimestamp('2017-05-15', 'epoch'), null)
+})
+
+test('epoch values outside 2000 to a year ahead are not read as times', () => {
+  assert.equal(parseTimestamp('946684800', 'epoch'), '2000-01-01 00:00:00')
+  assert.equal(parseTimestamp('946684799', 'epoch'), null)
+  // Phone numbers: 2192 and 2034 as epoch seconds
+  assert.equal(parseTimestamp('7025550101', 'epoch'), null)
+  assert.equal(parseTimestamp(String(Math.floor(Date.now() / 1000) + 400 * 24 * 60 * 60), 'epoch'), null)
+  assert.equal(parseTimestamp('123456789012', 'epoch'), null)
+})
+
+test('the format parsing most of a sample is detected, ties go month-first', () => {
+  assert.equal(detectTimestampFormat(['2017-05-15 18:27', '2017-05-16 09:00']), 'iso')
+  assert.equal(detectTimestampFormat(['05-06-17 10:00', '05-07-17 11:00']), 'mdy')
+  assert.equal(detectTimestampFormat(['05-06-17 10:00', '25-07-17 11:00', '30-07-17 11:00']), 'dmy')
+  assert.equal(detectTimestampFormat(['1494872820', '1494872880']), 'epoch')
+  assert.equal(detectTimestampFormat(['', null, undefined]), null)
+})
@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startServer, USER_PASSWORD } = require('./helpers')
+
+let server
+let admin
+
+before(async () => {
+  server = await startServer()
+  admin = await server.login()
+})
+
+after(() => server.close())
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30)
+const attempt = (username, code) => server.request('POST', '/api/auth', { body: { username, password: USER_PASSWORD, code } })
+
+// Create a user and turn on 2FA for them; resolves to the secret and recovery codes
+async function enrolledUser(username) {
+  await server.createUser(admin, { username, password: USER_PASSWORD, role: 'user' })
+  const token = await server.login(username, USER_PASSWORD)
+  const setup = await server.request('POST', '/api/auth/2fa/setup', { token })
+  const { secret } = setup.body
+  const enabled = await server.request('POST', '/api/auth/2fa/enable', { token, body: { code: server.totpCode(secret, currentStep()) } })
+  assert.equal(enabled.status, 200)
+  return { secret, recoveryCodes: enabled.body.recoveryCodes }
+}
+
+test('codes match the RFC 6238 test vector', () => {
+  // The RFC's SHA-1 secret "12345678901234567890" in base32; its 8-digit code at 59s is 94287082
+  assert.equal(server.totpCode('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', 1), '287082')
+})
+
+test('enrolling only takes effect with a code from the new secret', async () => {
+  await server.createUser(admin, { username: 'tess', password: USER_PASSWORD, role: 'user' })
+  const token = await server.login('tess', USER_PASSWORD)
+  const { body } = await server.request('POST', '/api/auth/2fa/setup', { token })
+  assert.match(body.otpauthUrl, /^otpauth:\/\/totp\/CallPulse%3Atess\?secret=/)
+
+  assert.equal((await server.request('POST', '/api/auth/2fa/enable', { token, body: { code: '000000' } })).status, 400)
+  assert.equal((await server.request('GET', '/api/auth/2fa', { token })).body.enabled, false)
+})
+
+test('login asks for a code, accepts a current one and refuses to accept it twice', async () => {
+  const { secret } = await enrolledUser('tom')
+
+  const first = await attempt('tom')
+  assert.equal(first.status, 401)
+  assert.equal(first.body.twoFactorRequired, true)
+
+  // The code that enabled 2FA can't be replayed
+  const used = server.db.prepare("SELECT totp_last_step FROM users WHERE username = 'tom'").pluck().get()
+  assert.equal((await attempt('tom', server.totpCode(secret, used))).status, 401)
+
+  const next = server.totpCode(secret, used + 1)
+  assert.equal((await attempt('tom', next)).status, 200)
+  assert.equal((await attempt('tom', next)).status, 401)
+})
+
+test('each recovery code works once, with or without its dash and in any case', async () => {
+  const { recoveryCodes } = await enrolledUser('rita')
+  assert.equal(recoveryCodes.length, 10)
+  assert.equal(new Set(recoveryCodes).size, 10)
+
+  assert.equal((await attempt('rita', recoveryCodes[0].replace('-', '').toUpperCase())).status, 200)
+  assert.equal((await attempt('rita', recoveryCodes[0])).status, 401)
+  const token = await server.login('rita', USER_PASSWORD, recoveryCodes[1])
+  assert.equal((await server.request('GET', '/api/auth/2fa', { token })).body.recoveryCodesLeft, 8)
+
+  // Stored hashed, never as the code itself
+  const hashes = server.db.prepare('SELECT code_hash FROM recovery_codes').pluck().all()
+  assert.ok(hashes.every(hash => /^[0-9a-f]{64}$/.test(hash) && !recoveryCodes.includes(hash)))
+})
+
+test('a role that requires 2FA keeps users out of everything else until they enroll', async () => {
+  await server.createRole(admin, { name: 'secure', permissions: ['data.view'], require2fa: true })
+  await server.createUser(admin, { username: 'sam', password: USER_PASSWORD, role: 'secure' })
+  const res = await server.request('POST', '/api/auth', { body: { username: 'sam', password: USER_PASSWORD } })
+  assert.equal(res.body.user.twoFactorSetupRequired, true)
+
+  const data = await server.request('GET', '/api/data?page=0', { token: res.body.token })
+  assert.equal(data.status, 403)
+  assert.equal(data.body.twoFactorSetupRequired, true)
+})
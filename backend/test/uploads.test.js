@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const ExcelJS = require('exceljs')
+const { startServer, callsCsv } = require('./helpers')
+
+let server
+let token
+
+before(async () => {
+  server = await startServer()
+  token = await server.login()
+})
+
+after(() => server.close())
+
+function uploadForm(field, name) {
+  const form = new FormData()
+  form.append(field, new Blob([callsCsv([{ CallID: 'a' }])], { type: 'text/csv' }), name)
+  return form
+}
+
+test('a file of a type that is not allowed is rejected with a JSON 400', async () => {
+  const res = await server.request('POST', '/api/files/upload', { token, form: uploadForm('file', 'calls.exe') })
+  assert.equal(res.status, 400)
+  assert.match(res.body.error, /Only CSV/)
+  assert.deepEqual(fs.readdirSync(path.join(server.dir, 'data')), [])
+})
+
+test('an upload under an unexpected field is rejected with a JSON 400', async () => {
+  const res = await server.request('POST', '/api/files/upload', { token, form: uploadForm('upload', 'calls.csv') })
+  assert.equal(res.status, 400)
+  assert.equal(res.body.error, 'Unexpected field')
+})
+
+test('an allowed file is still accepted', async () => {
+  const res = await server.request('POST', '/api/files/upload', { token, form: uploadForm('file', 'calls.csv') })
+  assert.equal(res.status, 200)
+  assert.equal(res.body.file.row_count, 1)
+})
+
+test('switching to a sheet that cannot be read keeps the current sheet and its rows', async () => {
+  const workbook = new ExcelJS.Workbook()
+  workbook.addWorksheet('Calls').addRows([['CallID', 'CallStart'], ['x1', '2024-03-01 10:00:00'], ['x2', '2024-03-01 11:00:00']])
+  workbook.addWorksheet('Notes')
+  const form = new FormData()
+  form.append('file', new Blob([await workbook.xlsx.writeBuffer()]), 'workbook.xlsx')
+  const upload = await server.request('POST', '/api/files/upload', { token, form })
+  assert.equal(upload.status, 200)
+  const { id } = upload.body.file
+  const stored = () => server.db.prepare('SELECT sheet_name, row_count, ingested_at IS NOT NULL AS ingested, (SELECT COUNT(*) FROM calls WHERE file_id = data_files.id) AS calls FROM data_files WHERE id = ?').get(id)
+  const before = stored()
+  assert.deepEqual(before, { sheet_name: 'Calls', row_count: 2, ingested: 1, calls: 2 })
+
+  const res = await server.request('PUT', `/api/files/${id}/sheet`, { token, body: { sheet: 'Notes' } })
+  assert.equal(res.status, 400)
+  assert.equal(res.body.error, 'Sheet "Notes" is empty')
+  assert.deepEqual(stored(), before)
+})
@@ -1,5 +1,4 @@
-import { useState, useEffect, useMemo, useRef } from 'react'
-import Papa from 'papaparse'
+import { useState, useEffect, useRef } from 'react'
 import { 
   BarChart, Bar, PieChart, Pie, Cell,
   XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer,
@@ -12,10 +11,9 @@ import {
   Map, Calendar, Save, FileText, Sun, Moon, Loader2, CheckCircle,
   AlertCircle, Bookmark, Trash2, Building2, ExternalLink, MessageSquare,
   Send, Database, FolderOpen, Plus, RefreshCw, Zap, Brain, Sparkles,
-  FileUp, HardDrive, Columns, AlertTriangle, Activity
+  FileUp, HardDrive, Columns, AlertTriangle, Activity, Shield, KeyRound, Copy, Key
 } from 'lucide-react'
 import { MapContainer, TileLayer, CircleMarker, Popup } from 'react-leaflet'
-import { format, parse, isWithinInterval, startOfDay, endOfDay } from 'date-fns'
 import jsPDF from 'jspdf'
 import html2canvas from 'html2canvas'
 import 'leaflet/dist/leaflet.css'
@@ -32,6 +30,45 @@ const SEARCH_CATEGORIES = {
   action: { label: 'Call Status', icon: PhoneCall, fields: ['CallAction', 'NoCallStatus'] }
 }
 
+// Whether the signed-in user's role grants a permission (see PERMISSIONS on the server)
+function can(user, permission) {
+  return !!user?.permissions?.includes(permission)
+}
+
+// Locked out after repeated failed logins (the lock lifts by itself at locked_until)
+function isLocked(user) {
+  return !!user.locked_until && new Date(user.locked_until) > new Date()
+}
+
+// "TeleCaptureName: SoCal Clone House; CallerState: CA, NV"
+function describeScopes(scopes) {
+  return scopes.map(scope => `${scope.column}: ${scope.values.join(', ')}`).join('; ')
+}
+
+function describePasswordPolicy(policy) {
+  return `At least ${policy.minLength} characters, mixing at least ${policy.minClasses} of lowercase letters, uppercase letters, digits and symbols.`
+}
+
+// Query string for /api/data from the dashboard filter state
+function buildDataParams({ filters, globalSearch, selectedFilter, dateRange }) {
+  const params = new URLSearchParams()
+  const activeFilters = Object.fromEntries(Object.entries(filters || {}).filter(([, v]) => v))
+  if (Object.keys(activeFilters).length > 0) params.set('filters', JSON.stringify(activeFilters))
+  if (globalSearch) params.set('search', globalSearch)
+  if (selectedFilter) {
+    params.set('field', selectedFilter.field)
+    params.set('value', selectedFilter.value)
+  }
+  if (dateRange?.start) params.set('start', dateRange.start)
+  if (dateRange?.end) params.set('end', dateRange.end)
+  return params
+}
+
+const EMPTY_METRICS = {
+  stats: { total: 0, answered: 0, hangup: 0, avgDuration: 0, uniqueCallers: 0 },
+  callsByMonth: [], callsByState: [], callsByAction: [], durationDist: [], topCallers: []
+}
+
 // Dark mode hook
 function useDarkMode() {
   const [dark, setDark] = useState(() => {
@@ -65,41 +102,41 @@ function Logo({ size = 'md' }) {
 }
 
 // Smart Search Component
-function SmartSearch({ data, onSearch, onSelect }) {
+// Suggestions (distinct values and their counts) come from the server, within the user's scopes
+function SmartSearch({ onSearch, onSelect }) {
   const [query, setQuery] = useState('')
   const [isOpen, setIsOpen] = useState(false)
+  const [searchResults, setSearchResults] = useState(null)
+  const [resultsQuery, setResultsQuery] = useState('')
+
+  // Results for an earlier query aren't shown, e.g. after the box was cleared
+  const suggestQuery = query.length >= 2 ? query : ''
+  if (resultsQuery !== suggestQuery) {
+    setResultsQuery(suggestQuery)
+    setSearchResults(null)
+  }
 
-  const searchResults = useMemo(() => {
-    if (!query || query.length < 2) return null
-    const q = query.toLowerCase()
-    const results = {}
-    const seen = {}
-
-    Object.entries(SEARCH_CATEGORIES).forEach(([catKey, cat]) => {
-      results[catKey] = []
-      seen[catKey] = new Set()
-
-      data.forEach(row => {
-        cat.fields.forEach(field => {
-          const value = row[field]
-          if (value && String(value).toLowerCase().includes(q)) {
-            const strVal = String(value)
-            if (!seen[catKey].has(strVal.toLowerCase())) {
-              seen[catKey].add(strVal.toLowerCase())
-              results[catKey].push({
-                value: strVal,
-                field,
-                count: data.filter(r => r[field] === value).length
-              })
-            }
-          }
+  useEffect(() => {
+    if (!suggestQuery) return
+    const controller = new AbortController()
+    // Debounce so typing doesn't fire a request per keystroke
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch(`/api/data/suggestions?${new URLSearchParams({ q: suggestQuery })}`, {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` },
+          signal: controller.signal
         })
-      })
-      results[catKey] = results[catKey].sort((a, b) => b.count - a.count).slice(0, 5)
-    })
+        if (res.ok) setSearchResults((await res.json()).suggestions)
+      } catch (err) {
+        if (err.name !== 'AbortError') console.error('Failed to load suggestions:', err)
+      }
+    }, 200)
 
-    return Object.fromEntries(Object.entries(results).filter(([_, items]) => items.length > 0))
-  }, [query, data])
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [suggestQuery])
 
   const hasResults = searchResults && Object.keys(searchResults).length > 0
 
@@ -160,7 +197,7 @@ function SmartSearch({ data, onSearch, onSelect }) {
         </div>
       )}
 
-      {isOpen && query.length >= 2 && !hasResults && (
+      {isOpen && searchResults && !hasResults && (
         <div className="absolute top-full left-0 right-0 mt-2 bg-white dark:bg-slate-800 rounded-lg shadow-xl border p-4 z-50">
           <p className="text-sm text-slate-500 text-center">No results for "{query}"</p>
         </div>
@@ -184,18 +221,34 @@ function LoginScreen({ onLogin }) {
   const [username, setUsername] = useState('')
   const [password, setPassword] = useState('')
   const [showPassword, setShowPassword] = useState(false)
-  const [error, setError] = useState('')
+  const [code, setCode] = useState('')
+  // A single sign-on for an account with 2FA comes back as #sso2fa=<ticket>, still needing the code
+  const [ssoTicket] = useState(() => new URLSearchParams(window.location.hash.slice(1)).get('sso2fa'))
+  const [needsCode, setNeedsCode] = useState(!!ssoTicket)
+  // A failed single sign-on comes back as ?ssoError=...
+  const [error, setError] = useState(() => new URLSearchParams(window.location.search).get('ssoError') || '')
   const [loading, setLoading] = useState(false)
+  const [sso, setSso] = useState(null)
+
+  useEffect(() => {
+    if (new URLSearchParams(window.location.search).has('ssoError') || window.location.hash.includes('sso2fa=')) {
+      window.history.replaceState(null, '', window.location.pathname)
+    }
+    fetch('/api/auth/oidc')
+      .then(res => res.json())
+      .then(setSso)
+      .catch(() => {})
+  }, [])
 
   const handleSubmit = async (e) => {
     e.preventDefault()
     setLoading(true)
     setError('')
     try {
-      const res = await fetch('/api/auth', {
+      const res = await fetch(ssoTicket ? '/api/auth/oidc/2fa' : '/api/auth', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ username, password })
+        body: JSON.stringify(ssoTicket ? { ticket: ssoTicket, code } : { username, password, code: needsCode ? code : undefined })
       })
       if (res.ok) {
         const { token, user } = await res.json()
@@ -204,7 +257,12 @@ function LoginScreen({ onLogin }) {
         onLogin(token, user)
       } else {
         const data = await res.json()
-        setError(data.error || 'Invalid credentials')
+        // Password accepted, the account also needs a code from the authenticator app
+        if (data.twoFactorRequired && !needsCode) {
+          setNeedsCode(true)
+        } else {
+          setError(data.error || 'Invalid credentials')
+        }
       }
     } catch (err) {
       setError('Connection error')
@@ -224,40 +282,161 @@ function LoginScreen({ onLogin }) {
           <p className="text-slate-400 mt-2">Call Center Analytics Dashboard</p>
         </div>
         <form onSubmit={handleSubmit}>
-          <div className="mb-4">
-            <input
-              type="text"
-              value={username}
-              onChange={(e) => setUsername(e.target.value)}
-              placeholder="Username"
-              className="w-full px-4 py-3 bg-white/5 border border-white/10 rounded-lg text-white placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
-            />
-          </div>
-          <div className="relative">
-            <input
-              type={showPassword ? 'text' : 'password'}
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              placeholder="Password"
-              className="w-full px-4 py-3 bg-white/5 border border-white/10 rounded-lg text-white placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
-            />
-            <button type="button" onClick={() => setShowPassword(!showPassword)} className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 hover:text-white">
-              {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
-            </button>
-          </div>
+          {!ssoTicket && (
+            <>
+              <div className="mb-4">
+                <input
+                  type="text"
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  placeholder="Username"
+                  className="w-full px-4 py-3 bg-white/5 border border-white/10 rounded-lg text-white placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                />
+              </div>
+              <div className="relative">
+                <input
+                  type={showPassword ? 'text' : 'password'}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  placeholder="Password"
+                  className="w-full px-4 py-3 bg-white/5 border border-white/10 rounded-lg text-white placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                />
+                <button type="button" onClick={() => setShowPassword(!showPassword)} className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 hover:text-white">
+                  {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                </button>
+              </div>
+            </>
+          )}
+          {needsCode && (
+            <div className="mt-4">
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="Authentication or recovery code"
+                autoComplete="one-time-code"
+                autoFocus
+                className="w-full px-4 py-3 bg-white/5 border border-white/10 rounded-lg text-white placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              />
+              <p className="text-slate-400 text-xs mt-2">Enter the 6-digit code from your authenticator app, or one of your recovery codes.</p>
+            </div>
+          )}
           {error && <p className="text-red-400 text-sm mt-2">{error}</p>}
           <button type="submit" disabled={loading} className="w-full mt-6 py-3 bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 disabled:opacity-50 text-white font-medium rounded-lg transition-all flex items-center justify-center gap-2 shadow-lg">
             {loading && <Loader2 className="w-4 h-4 animate-spin" />}
             Sign In
           </button>
         </form>
+        {sso?.enabled && (
+          <>
+            <div className="flex items-center gap-3 my-6">
+              <div className="flex-1 border-t border-white/10" />
+              <span className="text-slate-500 text-xs">or</span>
+              <div className="flex-1 border-t border-white/10" />
+            </div>
+            <a href="/api/auth/oidc/login" className="w-full py-3 bg-white/5 hover:bg-white/10 border border-white/20 text-white font-medium rounded-lg transition-all flex items-center justify-center gap-2">
+              <Shield className="w-4 h-4" /> Sign in with {sso.name}
+            </a>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Opened from an admin-issued link (?reset=<token>) to choose a new password
+function ResetPasswordScreen({ token, onDone }) {
+  const [username, setUsername] = useState(null)
+  const [policy, setPolicy] = useState(null)
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [error, setError] = useState('')
+  const [done, setDone] = useState(false)
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    fetch(`/api/auth/reset/${encodeURIComponent(token)}`)
+      .then(async res => {
+        const data = await res.json()
+        if (res.ok) setUsername(data.username)
+        else setError(data.error)
+      })
+      .catch(() => setError('Connection error'))
+    fetch('/api/auth/password-policy')
+      .then(res => res.json())
+      .then(setPolicy)
+      .catch(() => {})
+  }, [token])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (password !== confirmPassword) {
+      setError('Passwords do not match')
+      return
+    }
+    setLoading(true)
+    setError('')
+    try {
+      const res = await fetch('/api/auth/reset', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, password })
+      })
+      const data = await res.json()
+      if (res.ok) {
+        setDone(true)
+      } else {
+        setError(data.error)
+      }
+    } catch {
+      setError('Connection error')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const inputClass = 'w-full px-4 py-3 bg-white/5 border border-white/10 rounded-lg text-white placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-indigo-500'
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-indigo-950 to-slate-900 flex items-center justify-center p-4">
+      <div className="relative bg-white/10 backdrop-blur-lg rounded-2xl p-8 w-full max-w-md border border-white/20 shadow-2xl">
+        <div className="text-center mb-8">
+          <div className="flex justify-center mb-4">
+            <Logo size="lg" />
+          </div>
+          <p className="text-slate-400 mt-2">{username ? `Choose a new password for ${username}` : 'Reset password'}</p>
+        </div>
+        {done ? (
+          <div className="text-center">
+            <p className="text-green-400 text-sm mb-6">Your password has been changed. Sign in with the new password.</p>
+            <button onClick={onDone} className="w-full py-3 bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 text-white font-medium rounded-lg">Go to sign in</button>
+          </div>
+        ) : username ? (
+          <form onSubmit={handleSubmit}>
+            <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="New password" autoComplete="new-password" required className={`${inputClass} mb-4`} />
+            <input type="password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} placeholder="Confirm new password" autoComplete="new-password" required className={inputClass} />
+            {policy && <p className="text-slate-400 text-xs mt-2">{describePasswordPolicy(policy)}</p>}
+            {error && <p className="text-red-400 text-sm mt-2">{error}</p>}
+            <button type="submit" disabled={loading} className="w-full mt-6 py-3 bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 disabled:opacity-50 text-white font-medium rounded-lg transition-all flex items-center justify-center gap-2 shadow-lg">
+              {loading && <Loader2 className="w-4 h-4 animate-spin" />}
+              Set Password
+            </button>
+          </form>
+        ) : (
+          <div className="text-center">
+            {error && <p className="text-red-400 text-sm mb-2">{error}</p>}
+            <p className="text-slate-400 text-xs mb-6">Ask an administrator for a new reset link if you still need one.</p>
+            <button onClick={onDone} className="text-sm text-slate-400 hover:text-white">Back to sign in</button>
+          </div>
+        )}
       </div>
     </div>
   )
 }
 
 // AI Chat Panel
-function AIChatPanel({ data, columns }) {
+// Answers are about the calls matching the dashboard's filters, which are sent along with each message
+function AIChatPanel({ query }) {
   const [messages, setMessages] = useState([
     { role: 'assistant', content: 'Hi! I\'m your AI assistant for CallPulse. Ask me anything about your call data - like "What\'s the busiest time of day?" or "Show me all calls from California".' }
   ])
@@ -286,7 +465,7 @@ function AIChatPanel({ data, columns }) {
       const res = await fetch('/api/chat', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
-        body: JSON.stringify({ message: userMessage })
+        body: JSON.stringify({ message: userMessage, query: Object.fromEntries(buildDataParams(query)) })
       })
       const data = await res.json()
       
@@ -418,14 +597,311 @@ function AIChatPanel({ data, columns }) {
   )
 }
 
+// Column Mapping Editor - confirm or edit how a file's columns map onto the standard ones
+function ColumnMappingEditor({ fileId, onClose, onSaved }) {
+  const [info, setInfo] = useState(null)
+  const [draft, setDraft] = useState({})
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await fetch(`/api/files/${fileId}/mappings`, {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` }
+        })
+        const data = await res.json()
+        if (res.ok) {
+          setInfo(data)
+          setDraft(Object.fromEntries(data.mappings.map(m => [m.source, m.target])))
+        } else {
+          setError(data.error)
+        }
+      } catch {
+        setError('Failed to load column mappings')
+      }
+    }
+    load()
+  }, [fileId])
+
+  const save = async () => {
+    setSaving(true)
+    setError('')
+    try {
+      const mappings = Object.entries(draft).filter(([, target]) => target).map(([source, target]) => ({ source, target }))
+      const res = await fetch(`/api/files/${fileId}/mappings`, {
+        method: 'PUT',
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mappings })
+      })
+      const data = await res.json()
+      if (res.ok) onSaved?.()
+      else setError(data.error)
+    } catch {
+      setError('Failed to save column mappings')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!info) {
+    return (
+      <div className="mt-3 p-4 bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700">
+        {error ? <p className="text-sm text-red-600">{error}</p> : <Loader2 className="w-5 h-5 animate-spin text-indigo-500" />}
+      </div>
+    )
+  }
+
+  const stored = Object.fromEntries(info.mappings.map(m => [m.source, m]))
+  const sources = info.columns.filter(col => !info.canonicalColumns.includes(col))
+  const available = info.canonicalColumns.filter(col => !info.columns.includes(col))
+
+  return (
+    <div className="mt-3 p-4 bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700">
+      <p className="text-sm font-medium text-slate-700 dark:text-slate-300 mb-3 flex items-center gap-1">
+        <Columns className="w-4 h-4" /> Column Mappings
+      </p>
+      {sources.length === 0 ? (
+        <p className="text-sm text-slate-500">All columns in this file already use the standard names.</p>
+      ) : (
+        <div className="space-y-2">
+          {sources.map(source => (
+            <div key={source} className="flex items-center gap-3 text-sm">
+              <span className="w-40 truncate text-slate-700 dark:text-slate-300" title={source}>{source}</span>
+              <span className="text-slate-400">→</span>
+              <select value={draft[source] || ''} onChange={(e) => setDraft(prev => ({ ...prev, [source]: e.target.value }))}
+                className="px-2 py-1 bg-slate-50 dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded">
+                <option value="">Keep as is</option>
+                {available.filter(col => col === draft[source] || !Object.values(draft).includes(col)).map(col => (
+                  <option key={col} value={col}>{col}</option>
+                ))}
+              </select>
+              {stored[source] && (stored[source].confirmed
+                ? <span className="text-xs text-green-600">confirmed</span>
+                : <span className="text-xs text-amber-600">suggested ({Math.round(stored[source].confidence * 100)}%)</span>)}
+            </div>
+          ))}
+        </div>
+      )}
+      {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+      <div className="flex gap-2 mt-4">
+        <button onClick={save} disabled={saving || sources.length === 0}
+          className="px-3 py-1.5 text-sm bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg disabled:opacity-50 flex items-center gap-2">
+          {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+          Confirm &amp; Apply
+        </button>
+        <button onClick={onClose} className="px-3 py-1.5 text-sm bg-slate-200 dark:bg-slate-600 rounded-lg">Cancel</button>
+      </div>
+    </div>
+  )
+}
+
+// Validation report for one file, with quarantine toggles per rule for admins
+function ValidationReport({ fileId, isAdmin, onClose, onSaved }) {
+  const [info, setInfo] = useState(null)
+  const [rules, setRules] = useState([])
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await fetch(`/api/files/${fileId}/validation`, {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` }
+        })
+        const data = await res.json()
+        if (res.ok) {
+          setInfo(data)
+          setRules(data.quarantineRules)
+        } else {
+          setError(data.error)
+        }
+      } catch {
+        setError('Failed to load validation report')
+      }
+    }
+    load()
+  }, [fileId])
+
+  const save = async () => {
+    setSaving(true)
+    setError('')
+    try {
+      const res = await fetch(`/api/files/${fileId}/quarantine`, {
+        method: 'PUT',
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rules })
+      })
+      const data = await res.json()
+      if (res.ok) onSaved?.()
+      else setError(data.error)
+    } catch {
+      setError('Failed to update quarantine')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!info) {
+    return (
+      <div className="mt-3 p-4 bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700">
+        {error ? <p className="text-sm text-red-600">{error}</p> : <Loader2 className="w-5 h-5 animate-spin text-indigo-500" />}
+      </div>
+    )
+  }
+
+  const failing = Object.entries(info.report?.rules || {}).filter(([, rule]) => rule.count > 0)
+
+  return (
+    <div className="mt-3 p-4 bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700">
+      <p className="text-sm font-medium text-slate-700 dark:text-slate-300 mb-3 flex items-center gap-1">
+        <AlertTriangle className="w-4 h-4" /> Validation Report
+        {info.report && (
+          <span className="font-normal text-slate-500 ml-1">
+            {info.report.failedRows.toLocaleString()} of {info.report.rowCount.toLocaleString()} rows failed
+            {info.quarantined > 0 && ` • ${info.quarantined.toLocaleString()} quarantined`}
+          </span>
+        )}
+      </p>
+      {failing.length === 0 ? (
+        <p className="text-sm text-slate-500">Every row passed validation.</p>
+      ) : (
+        <div className="space-y-3">
+          {failing.map(([id, rule]) => (
+            <div key={id} className="text-sm">
+              <div className="flex items-center gap-3">
+                {isAdmin && (
+                  <input type="checkbox" checked={rules.includes(id)} title="Quarantine rows failing this rule"
+                    onChange={(e) => setRules(prev => e.target.checked ? [...prev, id] : prev.filter(r => r !== id))} />
+                )}
+                <span className="text-slate-700 dark:text-slate-300">{rule.label}</span>
+                <span className="text-xs px-2 py-0.5 bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300 rounded">
+                  {rule.count.toLocaleString()} rows
+                </span>
+              </div>
+              <div className="mt-1 ml-6 space-y-0.5">
+                {rule.samples.map(sample => (
+                  <p key={sample.row} className="text-xs text-slate-500 font-mono truncate">
+                    row {sample.row}: {Object.entries(sample).filter(([key, value]) => key !== 'row' && value).map(([key, value]) => `${key}=${value}`).join(', ')}
+                  </p>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+      <div className="flex gap-2 mt-4">
+        {isAdmin && failing.length > 0 && (
+          <button onClick={save} disabled={saving}
+            className="px-3 py-1.5 text-sm bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg disabled:opacity-50 flex items-center gap-2">
+            {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+            Apply Quarantine
+          </button>
+        )}
+        <button onClick={onClose} className="px-3 py-1.5 text-sm bg-slate-200 dark:bg-slate-600 rounded-lg">Close</button>
+      </div>
+    </div>
+  )
+}
+
+// Versions of one data source, with rollback for admins
+function VersionHistory({ fileId, isAdmin, onClose, onSaved }) {
+  const [versions, setVersions] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await fetch(`/api/files/${fileId}/versions`, {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` }
+        })
+        const data = await res.json()
+        if (res.ok) setVersions(data.versions)
+        else setError(data.error)
+      } catch {
+        setError('Failed to load version history')
+      }
+    }
+    load()
+  }, [fileId])
+
+  const rollback = async (id) => {
+    if (!confirm('Make this version the active one?')) return
+    try {
+      const res = await fetch(`/api/files/${id}/restore`, {
+        method: 'PUT',
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` }
+      })
+      const data = await res.json()
+      if (res.ok) onSaved?.()
+      else setError(data.error)
+    } catch {
+      setError('Failed to roll back')
+    }
+  }
+
+  if (!versions) {
+    return (
+      <div className="mt-3 p-4 bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700">
+        {error ? <p className="text-sm text-red-600">{error}</p> : <Loader2 className="w-5 h-5 animate-spin text-indigo-500" />}
+      </div>
+    )
+  }
+
+  return (
+    <div className="mt-3 p-4 bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700">
+      <p className="text-sm font-medium text-slate-700 dark:text-slate-300 mb-3 flex items-center gap-1">
+        <Clock className="w-4 h-4" /> Version History
+      </p>
+      <div className="space-y-2">
+        {versions.map(version => (
+          <div key={version.id} className="flex items-center justify-between gap-3 text-sm">
+            <div>
+              <span className="font-medium text-slate-700 dark:text-slate-300">v{version.version}</span>
+              <span className="text-slate-500 ml-2">{version.original_name}</span>
+              <p className="text-xs text-slate-400">
+                {version.uploaded_by_name || 'system'} • {new Date(version.created_at).toLocaleDateString()} • {version.row_count?.toLocaleString()} rows
+                {version.changes && ` (${version.changes.rowDiff >= 0 ? '+' : ''}${version.changes.rowDiff.toLocaleString()}: ${version.changes.added.toLocaleString()} added, ${version.changes.removed.toLocaleString()} removed)`}
+              </p>
+            </div>
+            {version.active ? (
+              <span className="text-xs text-green-600">active</span>
+            ) : isAdmin && (
+              <button onClick={() => rollback(version.id)} className="text-xs px-3 py-1 bg-slate-200 dark:bg-slate-600 text-slate-600 dark:text-slate-300 rounded hover:bg-slate-300 dark:hover:bg-slate-500">
+                Roll back
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+      {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+      <div className="flex gap-2 mt-4">
+        <button onClick={onClose} className="px-3 py-1.5 text-sm bg-slate-200 dark:bg-slate-600 rounded-lg">Close</button>
+      </div>
+    </div>
+  )
+}
+
 // Data Files Panel
-function DataFilesPanel({ onDataUpdate }) {
+function DataFilesPanel({ user, onDataUpdate }) {
   const [files, setFiles] = useState([])
+  const [timestampFormats, setTimestampFormats] = useState({})
+  const [duplicatePolicies, setDuplicatePolicies] = useState({})
   const [loading, setLoading] = useState(true)
   const [uploading, setUploading] = useState(false)
   const [uploadResult, setUploadResult] = useState(null)
+  const [uploadProgress, setUploadProgress] = useState(null)
   const [showInactive, setShowInactive] = useState(false)
+  const [mappingFileId, setMappingFileId] = useState(null)
+  const [validationFileId, setValidationFileId] = useState(null)
+  const [historyFileId, setHistoryFileId] = useState(null)
+  const [replaceFileId, setReplaceFileId] = useState(null)
   const fileInputRef = useRef(null)
+  const replaceInputRef = useRef(null)
+  const canUpload = can(user, 'files.upload')
+  const canManage = can(user, 'files.manage')
+  const canDelete = can(user, 'files.delete')
   const token = localStorage.getItem('auth_token')
   const headers = { 'Authorization': `Bearer ${token}` }
 
@@ -437,6 +913,8 @@ function DataFilesPanel({ onDataUpdate }) {
       if (res.ok) {
         const data = await res.json()
         setFiles(data.files)
+        setTimestampFormats(data.timestampFormats || {})
+        setDuplicatePolicies(data.duplicatePolicies || {})
       }
     } catch (err) {
       console.error('Failed to load files:', err)
@@ -445,20 +923,29 @@ function DataFilesPanel({ onDataUpdate }) {
     }
   }
 
-  const handleFileSelect = async (e) => {
-    const file = e.target.files?.[0]
-    if (!file) return
-
+  const uploadFile = async (file, replaceId = null) => {
     setUploading(true)
     setUploadResult(null)
+    setUploadProgress(null)
 
     const formData = new FormData()
     formData.append('file', file)
 
+    // Large files are parsed on the server after the transfer, poll how far it got
+    const uploadId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+    const poll = setInterval(async () => {
+      try {
+        const res = await fetch(`/api/files/upload/${uploadId}/progress`, { headers })
+        if (res.ok) setUploadProgress(await res.json())
+      } catch {
+        // The next poll will try again
+      }
+    }, 1000)
+
     try {
-      const res = await fetch('/api/files/upload', {
+      const res = await fetch(replaceId ? `/api/files/${replaceId}/replace` : '/api/files/upload', {
         method: 'POST',
-        headers: { 'Authorization': `Bearer ${token}` },
+        headers: { 'Authorization': `Bearer ${token}`, 'X-Upload-Id': uploadId },
         body: formData
       })
       const data = await res.json()
@@ -467,7 +954,13 @@ function DataFilesPanel({ onDataUpdate }) {
         setUploadResult({
           success: true,
           file: data.file,
-          schema: data.schema
+          schema: data.schema,
+          mappings: data.mappings,
+          duplicates: data.duplicates,
+          validation: data.validation,
+          replaced: data.replaced,
+          ingest: data.ingest,
+          enrichment: data.enrichment
         })
         loadFiles()
         onDataUpdate?.()
@@ -477,11 +970,25 @@ function DataFilesPanel({ onDataUpdate }) {
     } catch (err) {
       setUploadResult({ success: false, error: err.message })
     } finally {
+      clearInterval(poll)
       setUploading(false)
+      setUploadProgress(null)
+      setReplaceFileId(null)
       if (fileInputRef.current) fileInputRef.current.value = ''
+      if (replaceInputRef.current) replaceInputRef.current.value = ''
     }
   }
 
+  const handleFileSelect = (e) => {
+    const file = e.target.files?.[0]
+    if (file) uploadFile(file)
+  }
+
+  const handleReplaceSelect = (e) => {
+    const file = e.target.files?.[0]
+    if (file && replaceFileId) uploadFile(file, replaceFileId)
+  }
+
   const handleDelete = async (id) => {
     if (!confirm('Are you sure you want to remove this file from the dataset?')) return
     
@@ -514,6 +1021,54 @@ function DataFilesPanel({ onDataUpdate }) {
     }
   }
 
+  const handleTimestampFormat = async (id, format) => {
+    try {
+      const res = await fetch(`/api/files/${id}/timestamp-format`, {
+        method: 'PUT',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ format })
+      })
+      if (res.ok) {
+        loadFiles()
+        onDataUpdate?.()
+      }
+    } catch (err) {
+      console.error('Failed to update timestamp format:', err)
+    }
+  }
+
+  const handleSheet = async (id, sheet) => {
+    try {
+      const res = await fetch(`/api/files/${id}/sheet`, {
+        method: 'PUT',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sheet })
+      })
+      if (res.ok) {
+        loadFiles()
+        onDataUpdate?.()
+      }
+    } catch (err) {
+      console.error('Failed to switch sheet:', err)
+    }
+  }
+
+  const handleDuplicatePolicy = async (id, policy) => {
+    try {
+      const res = await fetch(`/api/files/${id}/duplicates`, {
+        method: 'PUT',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ policy })
+      })
+      if (res.ok) {
+        loadFiles()
+        onDataUpdate?.()
+      }
+    } catch (err) {
+      console.error('Failed to update duplicate policy:', err)
+    }
+  }
+
   const formatFileSize = (bytes) => {
     if (!bytes) return '-'
     if (bytes < 1024) return bytes + ' B'
@@ -522,7 +1077,8 @@ function DataFilesPanel({ onDataUpdate }) {
   }
 
   const activeFiles = files.filter(f => f.active)
-  const inactiveFiles = files.filter(f => !f.active)
+  // Versions that were replaced live in their source's history, not among removed files
+  const inactiveFiles = files.filter(f => !f.active && !f.replaced_at)
   const totalRows = activeFiles.reduce((sum, f) => sum + (f.row_count || 0), 0)
 
   return (
@@ -537,29 +1093,46 @@ function DataFilesPanel({ onDataUpdate }) {
         </div>
 
         <div
-          onClick={() => !uploading && fileInputRef.current?.click()}
-          className={`border-2 border-dashed rounded-lg p-8 text-center cursor-pointer transition-colors
+          onClick={() => canUpload && !uploading && fileInputRef.current?.click()}
+          className={`border-2 border-dashed rounded-lg p-8 text-center transition-colors ${canUpload ? 'cursor-pointer' : 'cursor-not-allowed opacity-60'}
             ${uploading ? 'border-indigo-300 bg-indigo-50 dark:bg-indigo-900/20' : 'border-slate-300 dark:border-slate-600 hover:border-indigo-400 hover:bg-indigo-50/50 dark:hover:bg-indigo-900/10'}`}
         >
           {uploading ? (
             <div className="flex flex-col items-center">
               <Loader2 className="w-12 h-12 text-indigo-500 animate-spin mb-3" />
-              <p className="text-slate-600 dark:text-slate-300">Uploading and analyzing file...</p>
+              <p className="text-slate-600 dark:text-slate-300">
+                {uploadProgress ? `Processing file... ${uploadProgress.percent}%` : 'Uploading and analyzing file...'}
+              </p>
+              {uploadProgress && (
+                <div className="w-64 mt-3">
+                  <div className="h-2 bg-slate-200 dark:bg-slate-700 rounded-full overflow-hidden">
+                    <div className="h-full bg-indigo-500 transition-all" style={{ width: `${uploadProgress.percent}%` }} />
+                  </div>
+                  <p className="text-xs text-slate-500 mt-1">{uploadProgress.rows.toLocaleString()} rows read</p>
+                </div>
+              )}
             </div>
           ) : (
             <>
               <Upload className="w-12 h-12 text-slate-400 mx-auto mb-3" />
-              <p className="text-slate-600 dark:text-slate-300">Drag & drop a CSV/TSV file or click to browse</p>
-              <p className="text-sm text-slate-400 mt-1">Files will be merged with existing data</p>
+              <p className="text-slate-600 dark:text-slate-300">Drag & drop a CSV/TSV, Excel or JSON file or click to browse</p>
+              <p className="text-sm text-slate-400 mt-1">{canUpload ? 'Files will be merged with existing data' : 'Your role does not allow uploading files'}</p>
             </>
           )}
           <input
             ref={fileInputRef}
             type="file"
-            accept=".csv,.tsv,.txt"
+            accept=".csv,.tsv,.txt,.xlsx,.json,.ndjson,.jsonl"
             onChange={handleFileSelect}
             className="hidden"
           />
+          <input
+            ref={replaceInputRef}
+            type="file"
+            accept=".csv,.tsv,.txt,.xlsx,.json,.ndjson,.jsonl"
+            onChange={handleReplaceSelect}
+            className="hidden"
+          />
         </div>
 
         {/* Upload Result */}
@@ -573,8 +1146,20 @@ function DataFilesPanel({ onDataUpdate }) {
                 </div>
                 <p className="text-sm text-green-600 dark:text-green-400">
                   {uploadResult.file.original_name} • {uploadResult.file.row_count.toLocaleString()} rows • {uploadResult.file.columns.length} columns
+                  {uploadResult.file.sheet_name && ` • sheet "${uploadResult.file.sheet_name}"`}
                 </p>
-                
+                {uploadResult.replaced && (
+                  <p className="text-xs text-green-600 dark:text-green-400 mt-1">
+                    Saved as version {uploadResult.file.version}, replacing version {uploadResult.replaced.version}
+                    {' '}({uploadResult.replaced.rowDiff >= 0 ? '+' : ''}{uploadResult.replaced.rowDiff.toLocaleString()} rows)
+                  </p>
+                )}
+                {uploadResult.file.sheets?.length > 1 && (
+                  <p className="text-xs text-green-600 dark:text-green-400 mt-1">
+                    This workbook has {uploadResult.file.sheets.length} sheets. Users who manage files can import a different one from the file list.
+                  </p>
+                )}
+                
                 {uploadResult.schema?.hasChanges && (
                   <div className="mt-3 pt-3 border-t border-green-200 dark:border-green-800">
                     <p className="text-sm font-medium text-green-700 dark:text-green-400 mb-2 flex items-center gap-1">
@@ -609,6 +1194,57 @@ function DataFilesPanel({ onDataUpdate }) {
                     )}
                   </div>
                 )}
+
+                {uploadResult.ingest?.malformedRows > 0 && (
+                  <p className="mt-2 text-sm text-amber-700 dark:text-amber-400">
+                    {uploadResult.ingest.malformedRows.toLocaleString()} rows had a different number of fields than the header
+                  </p>
+                )}
+
+                {uploadResult.enrichment && (
+                  <p className="mt-2 text-sm text-slate-600 dark:text-slate-400">
+                    Enrichment queued: {uploadResult.enrichment.titles.join(' → ')} (progress under Enrich)
+                  </p>
+                )}
+
+                {uploadResult.validation?.failedRows > 0 && (
+                  <div className="mt-3 pt-3 border-t border-green-200 dark:border-green-800">
+                    <p className="text-sm text-amber-700 dark:text-amber-400">
+                      {uploadResult.validation.failedRows.toLocaleString()} rows failed validation
+                      {' '}({Object.values(uploadResult.validation.rules).filter(rule => rule.count > 0).map(rule => `${rule.label}: ${rule.count.toLocaleString()}`).join('; ')})
+                    </p>
+                    <button onClick={() => setValidationFileId(uploadResult.file.id)} className="mt-2 text-xs text-indigo-600 hover:text-indigo-800">
+                      View validation report
+                    </button>
+                  </div>
+                )}
+
+                {uploadResult.duplicates?.count > 0 && (
+                  <div className="mt-3 pt-3 border-t border-green-200 dark:border-green-800">
+                    <p className="text-sm text-amber-700 dark:text-amber-400">
+                      {uploadResult.duplicates.count.toLocaleString()} rows duplicate calls already loaded
+                      {' '}({duplicatePolicies[uploadResult.duplicates.policy] || uploadResult.duplicates.policy})
+                    </p>
+                  </div>
+                )}
+
+                {uploadResult.mappings?.suggestions.length > 0 && (
+                  <div className="mt-3 pt-3 border-t border-green-200 dark:border-green-800">
+                    <p className="text-sm font-medium text-green-700 dark:text-green-400 mb-2">Suggested column mappings:</p>
+                    <div className="flex flex-wrap gap-1">
+                      {uploadResult.mappings.suggestions.map(m => (
+                        <span key={m.source} title={m.reason} className="text-xs px-2 py-0.5 bg-indigo-100 dark:bg-indigo-900/30 text-indigo-700 dark:text-indigo-300 rounded">
+                          {m.source} → {m.target}
+                        </span>
+                      ))}
+                    </div>
+                    {canManage && (
+                      <button onClick={() => setMappingFileId(uploadResult.file.id)} className="mt-2 text-xs text-indigo-600 hover:text-indigo-800">
+                        Review and apply mappings
+                      </button>
+                    )}
+                  </div>
+                )}
               </div>
             ) : (
               <div className="flex items-center gap-2">
@@ -641,36 +1277,115 @@ function DataFilesPanel({ onDataUpdate }) {
           <div className="text-center py-8">
             <FolderOpen className="w-12 h-12 text-slate-300 mx-auto mb-2" />
             <p className="text-slate-500">No data files uploaded yet</p>
-            <p className="text-sm text-slate-400">Upload a CSV or TSV file to get started</p>
+            <p className="text-sm text-slate-400">Upload a CSV, TSV, Excel or JSON file to get started</p>
           </div>
         ) : (
           <div className="space-y-3">
             {activeFiles.map(file => (
-              <div key={file.id} className="flex items-center justify-between p-4 bg-slate-50 dark:bg-slate-700/50 rounded-lg">
-                <div className="flex items-center gap-3">
-                  <div className="w-10 h-10 bg-indigo-100 dark:bg-indigo-900/30 rounded-lg flex items-center justify-center">
-                    <FileText className="w-5 h-5 text-indigo-600" />
-                  </div>
-                  <div>
-                    <p className="font-medium text-slate-900 dark:text-white">{file.original_name}</p>
-                    <div className="flex items-center gap-3 text-xs text-slate-500">
-                      <span>{file.row_count?.toLocaleString()} rows</span>
-                      <span>•</span>
-                      <span>{JSON.parse(file.columns || '[]').length} columns</span>
-                      <span>•</span>
-                      <span>{formatFileSize(file.file_size)}</span>
-                      {file.date_range_start && (
-                        <>
-                          <span>•</span>
-                          <span>{file.date_range_start} to {file.date_range_end}</span>
-                        </>
-                      )}
+              <div key={file.id}>
+                <div className="flex items-center justify-between p-4 bg-slate-50 dark:bg-slate-700/50 rounded-lg">
+                  <div className="flex items-center gap-3">
+                    <div className="w-10 h-10 bg-indigo-100 dark:bg-indigo-900/30 rounded-lg flex items-center justify-center">
+                      <FileText className="w-5 h-5 text-indigo-600" />
+                    </div>
+                    <div>
+                      <p className="font-medium text-slate-900 dark:text-white">
+                        {file.original_name}
+                        {file.version > 1 && <span className="ml-2 text-xs px-1.5 py-0.5 bg-indigo-100 dark:bg-indigo-900/30 text-indigo-700 dark:text-indigo-300 rounded">v{file.version}</span>}
+                      </p>
+                      <div className="flex items-center gap-3 text-xs text-slate-500">
+                        <span>{file.row_count?.toLocaleString()} rows</span>
+                        <span>•</span>
+                        <span>{JSON.parse(file.columns || '[]').length} columns</span>
+                        <span>•</span>
+                        <span>{formatFileSize(file.file_size)}</span>
+                        {file.date_range_start && (
+                          <>
+                            <span>•</span>
+                            <span>{file.date_range_start} to {file.date_range_end}</span>
+                          </>
+                        )}
+                        {file.duplicate_count > 0 && (
+                          <>
+                            <span>•</span>
+                            <span className="text-amber-600">{file.duplicate_count.toLocaleString()} duplicates</span>
+                          </>
+                        )}
+                        {file.invalid_row_count > 0 && (
+                          <>
+                            <span>•</span>
+                            <button onClick={() => setValidationFileId(validationFileId === file.id ? null : file.id)} className="text-amber-600 hover:underline">
+                              {file.invalid_row_count.toLocaleString()} invalid rows
+                            </button>
+                          </>
+                        )}
+                      </div>
                     </div>
                   </div>
+                  <div className="flex items-center gap-2">
+                    {canManage && (
+                      <button onClick={() => { setReplaceFileId(file.id); replaceInputRef.current?.click() }} disabled={uploading} title="Replace with a new version"
+                        className="p-2 text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 dark:hover:bg-indigo-900/20 rounded-lg disabled:opacity-50">
+                        <FileUp className="w-4 h-4" />
+                      </button>
+                    )}
+                    <button onClick={() => setHistoryFileId(historyFileId === file.id ? null : file.id)} title="Version history"
+                      className="p-2 text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 dark:hover:bg-indigo-900/20 rounded-lg">
+                      <Clock className="w-4 h-4" />
+                    </button>
+                    {canManage && (
+                      <button onClick={() => setMappingFileId(mappingFileId === file.id ? null : file.id)} title="Column mappings"
+                        className="p-2 text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 dark:hover:bg-indigo-900/20 rounded-lg">
+                        <Columns className="w-4 h-4" />
+                      </button>
+                    )}
+                    {canManage && (
+                      <select value={file.timestamp_format || 'auto'} onChange={(e) => handleTimestampFormat(file.id, e.target.value)}
+                        title="How CallStart/CallEnd are read"
+                        className="text-xs px-2 py-1 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded">
+                        <option value="auto">Auto ({timestampFormats[file.detected_timestamp_format]?.split(' (')[0] || 'detected'})</option>
+                        {Object.entries(timestampFormats).map(([key, label]) => (
+                          <option key={key} value={key}>{label}</option>
+                        ))}
+                      </select>
+                    )}
+                    {canManage && JSON.parse(file.sheets || '[]').length > 1 && (
+                      <select value={file.sheet_name || ''} onChange={(e) => handleSheet(file.id, e.target.value)}
+                        title="Sheet imported from this workbook"
+                        className="text-xs px-2 py-1 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded">
+                        {JSON.parse(file.sheets).map(sheet => (
+                          <option key={sheet} value={sheet}>{sheet}</option>
+                        ))}
+                      </select>
+                    )}
+                    {canManage && file.duplicate_count > 0 && (
+                      <select value={file.duplicate_policy || 'skip'} onChange={(e) => handleDuplicatePolicy(file.id, e.target.value)}
+                        title="What to do with rows that duplicate earlier files"
+                        className="text-xs px-2 py-1 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded">
+                        {Object.entries(duplicatePolicies).map(([key, label]) => (
+                          <option key={key} value={key}>{label}</option>
+                        ))}
+                      </select>
+                    )}
+                    {canDelete && (
+                      <button onClick={() => handleDelete(file.id)} className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
                 </div>
-                <button onClick={() => handleDelete(file.id)} className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg">
-                  <Trash2 className="w-4 h-4" />
-                </button>
+                {mappingFileId === file.id && (
+                  <ColumnMappingEditor fileId={file.id} onClose={() => setMappingFileId(null)}
+                    onSaved={() => { setMappingFileId(null); loadFiles(); onDataUpdate?.() }} />
+                )}
+                {historyFileId === file.id && (
+                  <VersionHistory fileId={file.id} isAdmin={canDelete} onClose={() => setHistoryFileId(null)}
+                    onSaved={() => { setHistoryFileId(null); loadFiles(); onDataUpdate?.() }} />
+                )}
+                {validationFileId === file.id && (
+                  <ValidationReport fileId={file.id} isAdmin={canManage} onClose={() => setValidationFileId(null)}
+                    onSaved={() => { setValidationFileId(null); loadFiles(); onDataUpdate?.() }} />
+                )}
               </div>
             ))}
           </div>
@@ -702,9 +1417,11 @@ function DataFilesPanel({ onDataUpdate }) {
                       <p className="text-xs text-slate-400">{file.row_count?.toLocaleString()} rows</p>
                     </div>
                   </div>
-                  <button onClick={() => handleRestore(file.id)} className="text-xs px-3 py-1 bg-slate-200 dark:bg-slate-600 text-slate-600 dark:text-slate-300 rounded hover:bg-slate-300 dark:hover:bg-slate-500">
-                    Restore
-                  </button>
+                  {canDelete && (
+                    <button onClick={() => handleRestore(file.id)} className="text-xs px-3 py-1 bg-slate-200 dark:bg-slate-600 text-slate-600 dark:text-slate-300 rounded hover:bg-slate-300 dark:hover:bg-slate-500">
+                      Restore
+                    </button>
+                  )}
                 </div>
               ))}
             </div>
@@ -716,67 +1433,65 @@ function DataFilesPanel({ onDataUpdate }) {
 }
 
 // Data Table
-function DataTable({ data, columns, filters, setFilters }) {
+// Masked columns come from the server already masked, and it ignores filtering or sorting on them
+function DataTable({ metrics, columns, filters, setFilters, query, dataVersion, masking = {} }) {
   const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' })
   const [page, setPage] = useState(0)
   const [expandedFilters, setExpandedFilters] = useState(false)
   const [showCharts, setShowCharts] = useState(true)
+  const [rows, setRows] = useState([])
+  const [total, setTotal] = useState(0)
+  const [pageLoading, setPageLoading] = useState(false)
   const pageSize = 50
 
-  const sortedData = useMemo(() => {
-    if (!sortConfig.key) return data
-    return [...data].sort((a, b) => {
-      const aVal = a[sortConfig.key] || ''
-      const bVal = b[sortConfig.key] || ''
-      if (aVal < bVal) return sortConfig.direction === 'asc' ? -1 : 1
-      if (aVal > bVal) return sortConfig.direction === 'asc' ? 1 : -1
-      return 0
-    })
-  }, [data, sortConfig])
-
-  const paginatedData = sortedData.slice(page * pageSize, (page + 1) * pageSize)
-  const totalPages = Math.ceil(data.length / pageSize)
-
-  // Dynamic charts based on filtered data
-  const chartData = useMemo(() => {
-    // Call outcomes
-    const outcomes = {}
-    data.forEach(r => { outcomes[r.CallAction || 'Unknown'] = (outcomes[r.CallAction || 'Unknown'] || 0) + 1 })
-    const outcomeData = Object.entries(outcomes).map(([name, value]) => ({ name, value }))
-
-    // Top states
-    const states = {}
-    data.forEach(r => { if (r.CallerState) states[r.CallerState] = (states[r.CallerState] || 0) + 1 })
-    const stateData = Object.entries(states).sort(([,a], [,b]) => b - a).slice(0, 8).map(([state, count]) => ({ state, count }))
-
-    // Duration distribution
-    const durations = { '0-30s': 0, '30s-1m': 0, '1-5m': 0, '5m+': 0 }
-    data.forEach(r => {
-      const d = parseInt(r.CallDuration) || 0
-      if (d <= 30) durations['0-30s']++
-      else if (d <= 60) durations['30s-1m']++
-      else if (d <= 300) durations['1-5m']++
-      else durations['5m+']++
-    })
-    const durationData = Object.entries(durations).map(([range, count]) => ({ range, count }))
-
-    // Top callers
-    const callers = {}
-    data.forEach(r => { 
-      const id = r.CallerID || 'Unknown'
-      if (!callers[id]) callers[id] = { id, name: r.CallerName || id, count: 0 }
-      callers[id].count++
-    })
-    const topCallers = Object.values(callers).sort((a, b) => b.count - a.count).slice(0, 5)
+  // Back to the first page whenever the filters change
+  const queryKey = buildDataParams(query).toString()
+  const [pageQueryKey, setPageQueryKey] = useState(queryKey)
+  if (pageQueryKey !== queryKey) {
+    setPageQueryKey(queryKey)
+    setPage(0)
+  }
+
+  useEffect(() => {
+    const params = new URLSearchParams(queryKey)
+    params.set('page', page)
+    params.set('pageSize', pageSize)
+    if (sortConfig.key) {
+      params.set('sort', sortConfig.key)
+      params.set('direction', sortConfig.direction)
+    }
+
+    const controller = new AbortController()
+    // Debounce so typing in a filter doesn't fire a request per keystroke
+    const timer = setTimeout(async () => {
+      setPageLoading(true)
+      try {
+        const res = await fetch(`/api/data?${params}`, {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` },
+          signal: controller.signal
+        })
+        if (res.ok) {
+          const result = await res.json()
+          setRows(result.data)
+          setTotal(result.total)
+        }
+      } catch (err) {
+        if (err.name !== 'AbortError') console.error('Failed to load page:', err)
+      } finally {
+        if (!controller.signal.aborted) setPageLoading(false)
+      }
+    }, 250)
+
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [queryKey, page, sortConfig, dataVersion])
 
-    // Summary stats
-    const answered = data.filter(r => r.CallAction === 'Answer').length
-    const totalDuration = data.reduce((s, r) => s + (parseInt(r.CallDuration) || 0), 0)
-    const avgDuration = data.length ? Math.round(totalDuration / data.length) : 0
-    const uniqueCallers = new Set(data.map(r => r.CallerID)).size
+  const totalPages = Math.max(1, Math.ceil(total / pageSize))
 
-    return { outcomeData, stateData, durationData, topCallers, answered, avgDuration, uniqueCallers }
-  }, [data])
+  const { stats } = metrics
+  const stateData = metrics.callsByState.filter(s => s.state !== 'Unknown').slice(0, 8)
 
   return (
     <div className="space-y-4">
@@ -784,19 +1499,19 @@ function DataTable({ data, columns, filters, setFilters }) {
       <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
         <div className="bg-white dark:bg-slate-800 rounded-lg p-4 border border-slate-200 dark:border-slate-700">
           <p className="text-xs text-slate-500 uppercase">Filtered Results</p>
-          <p className="text-2xl font-bold text-slate-900 dark:text-white">{data.length.toLocaleString()}</p>
+          <p className="text-2xl font-bold text-slate-900 dark:text-white">{stats.total.toLocaleString()}</p>
         </div>
         <div className="bg-white dark:bg-slate-800 rounded-lg p-4 border border-slate-200 dark:border-slate-700">
           <p className="text-xs text-slate-500 uppercase">Answer Rate</p>
-          <p className="text-2xl font-bold text-green-600">{data.length ? Math.round(chartData.answered / data.length * 100) : 0}%</p>
+          <p className="text-2xl font-bold text-green-600">{stats.total ? Math.round(stats.answered / stats.total * 100) : 0}%</p>
         </div>
         <div className="bg-white dark:bg-slate-800 rounded-lg p-4 border border-slate-200 dark:border-slate-700">
           <p className="text-xs text-slate-500 uppercase">Avg Duration</p>
-          <p className="text-2xl font-bold text-slate-900 dark:text-white">{Math.floor(chartData.avgDuration / 60)}m {chartData.avgDuration % 60}s</p>
+          <p className="text-2xl font-bold text-slate-900 dark:text-white">{Math.floor(stats.avgDuration / 60)}m {stats.avgDuration % 60}s</p>
         </div>
         <div className="bg-white dark:bg-slate-800 rounded-lg p-4 border border-slate-200 dark:border-slate-700">
           <p className="text-xs text-slate-500 uppercase">Unique Callers</p>
-          <p className="text-2xl font-bold text-slate-900 dark:text-white">{chartData.uniqueCallers.toLocaleString()}</p>
+          <p className="text-2xl font-bold text-slate-900 dark:text-white">{stats.uniqueCallers.toLocaleString()}</p>
         </div>
       </div>
 
@@ -815,8 +1530,8 @@ function DataTable({ data, columns, filters, setFilters }) {
             <h4 className="text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Call Outcomes</h4>
             <ResponsiveContainer width="100%" height={150}>
               <PieChart>
-                <Pie data={chartData.outcomeData} cx="50%" cy="50%" innerRadius={30} outerRadius={55} dataKey="value" label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`} labelLine={false}>
-                  {chartData.outcomeData.map((_, i) => <Cell key={i} fill={COLORS[i % COLORS.length]} />)}
+                <Pie data={metrics.callsByAction} cx="50%" cy="50%" innerRadius={30} outerRadius={55} dataKey="value" label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`} labelLine={false}>
+                  {metrics.callsByAction.map((_, i) => <Cell key={i} fill={COLORS[i % COLORS.length]} />)}
                 </Pie>
                 <Tooltip />
               </PieChart>
@@ -827,7 +1542,7 @@ function DataTable({ data, columns, filters, setFilters }) {
           <div className="bg-white dark:bg-slate-800 rounded-lg p-4 border border-slate-200 dark:border-slate-700">
             <h4 className="text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Top States</h4>
             <ResponsiveContainer width="100%" height={150}>
-              <BarChart data={chartData.stateData} layout="vertical" margin={{ left: 0, right: 10 }}>
+              <BarChart data={stateData} layout="vertical" margin={{ left: 0, right: 10 }}>
                 <XAxis type="number" hide />
                 <YAxis dataKey="state" type="category" width={30} tick={{ fontSize: 10 }} />
                 <Tooltip />
@@ -840,7 +1555,7 @@ function DataTable({ data, columns, filters, setFilters }) {
           <div className="bg-white dark:bg-slate-800 rounded-lg p-4 border border-slate-200 dark:border-slate-700">
             <h4 className="text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Duration</h4>
             <ResponsiveContainer width="100%" height={150}>
-              <BarChart data={chartData.durationData}>
+              <BarChart data={metrics.durationDist}>
                 <XAxis dataKey="range" tick={{ fontSize: 10 }} />
                 <YAxis hide />
                 <Tooltip />
@@ -853,7 +1568,7 @@ function DataTable({ data, columns, filters, setFilters }) {
           <div className="bg-white dark:bg-slate-800 rounded-lg p-4 border border-slate-200 dark:border-slate-700">
             <h4 className="text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Top Callers</h4>
             <div className="space-y-2">
-              {chartData.topCallers.map((c, i) => (
+              {metrics.topCallers.map((c, i) => (
                 <div key={i} className="flex items-center justify-between text-xs">
                   <span className="text-slate-600 dark:text-slate-400 truncate max-w-[120px]" title={c.name}>{c.name}</span>
                   <span className="font-medium text-slate-900 dark:text-white">{c.count}</span>
@@ -870,7 +1585,8 @@ function DataTable({ data, columns, filters, setFilters }) {
           <div className="flex items-center justify-between mb-4">
             <h3 className="font-semibold text-slate-900 dark:text-white flex items-center gap-2">
               <Table className="w-5 h-5 text-indigo-600" />
-              Call Records ({data.length.toLocaleString()} results)
+              Call Records ({total.toLocaleString()} results)
+              {pageLoading && <Loader2 className="w-4 h-4 animate-spin text-indigo-500" />}
             </h3>
             <button onClick={() => setExpandedFilters(!expandedFilters)}
               className="flex items-center gap-2 px-3 py-1.5 text-sm bg-slate-100 dark:bg-slate-700 rounded-lg hover:bg-slate-200 dark:hover:bg-slate-600">
@@ -880,7 +1596,7 @@ function DataTable({ data, columns, filters, setFilters }) {
           
           {expandedFilters && (
             <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-3 pt-4 border-t border-slate-200 dark:border-slate-700">
-              {columns.filter(c => !c.startsWith('_')).slice(0, 12).map(col => (
+              {columns.filter(c => !c.startsWith('_') && !masking[c]).slice(0, 12).map(col => (
                 <div key={col}>
                   <label className="block text-xs text-slate-500 mb-1 truncate">{col}</label>
                   <input type="text" value={filters[col] || ''} onChange={(e) => setFilters(prev => ({ ...prev, [col]: e.target.value }))}
@@ -899,10 +1615,11 @@ function DataTable({ data, columns, filters, setFilters }) {
             <thead className="bg-slate-50 dark:bg-slate-700/50">
               <tr>
                 {columns.filter(c => !c.startsWith('_')).map(col => (
-                  <th key={col} onClick={() => setSortConfig(prev => ({ key: col, direction: prev.key === col && prev.direction === 'asc' ? 'desc' : 'asc' }))}
-                    className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider cursor-pointer hover:bg-slate-100 dark:hover:bg-slate-700 whitespace-nowrap">
+                  <th key={col} onClick={masking[col] ? undefined : () => { setSortConfig(prev => ({ key: col, direction: prev.key === col && prev.direction === 'asc' ? 'desc' : 'asc' })); setPage(0) }}
+                    className={`px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider whitespace-nowrap ${masking[col] ? '' : 'cursor-pointer hover:bg-slate-100 dark:hover:bg-slate-700'}`}>
                     <div className="flex items-center gap-1">
                       {col}
+                      {masking[col] && <span title="Masked for your role"><EyeOff className="w-3 h-3" /></span>}
                       {sortConfig.key === col && (sortConfig.direction === 'asc' ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />)}
                     </div>
                   </th>
@@ -910,7 +1627,7 @@ function DataTable({ data, columns, filters, setFilters }) {
               </tr>
             </thead>
             <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
-              {paginatedData.map((row, i) => (
+              {rows.map((row, i) => (
                 <tr key={i} className="hover:bg-slate-50 dark:hover:bg-slate-700/30">
                   {columns.filter(c => !c.startsWith('_')).map(col => {
                     const val = row[col]
@@ -970,29 +1687,34 @@ function StatCard({ title, value, subtitle, icon: Icon, color = 'blue' }) {
 }
 
 // Map View
-function MapView({ data }) {
-  const geoData = useMemo(() => {
-    return data.filter(r => r.Latitude && r.Longitude).map(r => ({
-      lat: parseFloat(r.Latitude),
-      lng: parseFloat(r.Longitude),
-      city: r.CallerCity,
-      state: r.CallerState,
-      count: 1
-    }))
-  }, [data])
-
-  // Aggregate by location
-  const aggregated = useMemo(() => {
-    const map = {}
-    geoData.forEach(p => {
-      const key = `${p.lat.toFixed(2)},${p.lng.toFixed(2)}`
-      if (!map[key]) map[key] = { ...p, count: 0 }
-      map[key].count++
-    })
-    return Object.values(map)
-  }, [geoData])
+// Points are counted per location on the server, for the dashboard's filters
+function MapView({ query, dataVersion }) {
+  const [locations, setLocations] = useState({ points: [], mapped: 0, precisionCounts: { zip: 0, city: 0, state: 0 } })
+  const queryKey = buildDataParams(query).toString()
+
+  useEffect(() => {
+    const controller = new AbortController()
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch(`/api/metrics/locations?${queryKey}`, {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` },
+          signal: controller.signal
+        })
+        if (res.ok) setLocations(await res.json())
+      } catch (err) {
+        if (err.name !== 'AbortError') console.error('Failed to load locations:', err)
+      }
+    }, 250)
+
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [queryKey, dataVersion])
+
+  const { points, mapped, precisionCounts } = locations
 
-  if (geoData.length === 0) {
+  if (mapped === 0) {
     return (
       <div className="bg-white dark:bg-slate-800 rounded-xl p-6 shadow-sm border border-slate-200 dark:border-slate-700">
         <div className="flex items-center gap-2 mb-4">
@@ -1014,16 +1736,21 @@ function MapView({ data }) {
     <div className="bg-white dark:bg-slate-800 rounded-xl p-6 shadow-sm border border-slate-200 dark:border-slate-700">
       <div className="flex items-center gap-2 mb-4">
         <Map className="w-5 h-5 text-indigo-600" />
-        <h3 className="font-semibold text-slate-900 dark:text-white">Call Locations ({geoData.length} mapped)</h3>
+        <h3 className="font-semibold text-slate-900 dark:text-white">Call Locations ({mapped.toLocaleString()} mapped)</h3>
+        <span className="text-sm text-slate-500 ml-auto">
+          By ZIP {precisionCounts.zip.toLocaleString()} · city {precisionCounts.city.toLocaleString()} · state {precisionCounts.state.toLocaleString()}
+        </span>
       </div>
       <div className="h-96 rounded-lg overflow-hidden">
         <MapContainer center={[39.8283, -98.5795]} zoom={4} style={{ height: '100%', width: '100%' }}>
           <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" attribution='&copy; OpenStreetMap' />
-          {aggregated.map((point, i) => (
+          {points.map((point, i) => (
             <CircleMarker key={i} center={[point.lat, point.lng]} radius={Math.min(20, 5 + point.count / 2)}
               pathOptions={{ color: '#6366f1', fillColor: '#6366f1', fillOpacity: 0.6 }}>
               <Popup>
-                <strong>{point.city}, {point.state}</strong><br />
+                <strong>
+                  {point.precision === 'zip' ? `ZIP ${point.zip}` : point.precision === 'city' ? `${point.city}, ${point.state}` : `${point.state} (state centroid)`}
+                </strong><br />
                 {point.count} calls
               </Popup>
             </CircleMarker>
@@ -1035,25 +1762,18 @@ function MapView({ data }) {
 }
 
 // Date Range Filter
-function DateRangeFilter({ data, onFilter }) {
+function DateRangeFilter({ dataVersion, onFilter }) {
   const [startDate, setStartDate] = useState('')
   const [endDate, setEndDate] = useState('')
+  const [dateRange, setDateRange] = useState({ min: '', max: '' })
 
-  const dateRange = useMemo(() => {
-    const dates = data.map(r => r.CallStart).filter(Boolean).map(d => {
-      try {
-        const [datePart] = d.split(' ')
-        return parse(datePart, 'MM-dd-yy', new Date())
-      } catch { return null }
-    }).filter(Boolean)
-    
-    if (dates.length === 0) return { min: '', max: '' }
-    const sorted = dates.sort((a, b) => a - b)
-    return {
-      min: format(sorted[0], 'yyyy-MM-dd'),
-      max: format(sorted[sorted.length - 1], 'yyyy-MM-dd')
-    }
-  }, [data])
+  // The first and last call day the user can see bound the pickers
+  useEffect(() => {
+    fetch('/api/data/date-range', { headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` } })
+      .then(res => res.ok ? res.json() : null)
+      .then(bounds => bounds && setDateRange({ min: bounds.min || '', max: bounds.max || '' }))
+      .catch(err => console.error('Failed to load date range:', err))
+  }, [dataVersion])
 
   const applyFilter = () => {
     if (!startDate && !endDate) {
@@ -1161,303 +1881,1444 @@ function SavedFilters({ filters, globalSearch, dateRange, onLoad, onDelete }) {
   )
 }
 
-// Admin Panel
-function AdminPanel({ currentUser }) {
-  const [users, setUsers] = useState([])
-  const [loading, setLoading] = useState(true)
-  const [showAdd, setShowAdd] = useState(false)
-  const [editUser, setEditUser] = useState(null)
-  const [form, setForm] = useState({ username: '', email: '', password: '', role: 'user' })
+// Two-factor (TOTP) enrollment, recovery codes and turning it off. onChange runs once the
+// user's 2FA state changed and any new recovery codes were acknowledged
+function TwoFactorSettings({ onChange }) {
+  const [status, setStatus] = useState(null)
+  const [setup, setSetup] = useState(null)
+  const [code, setCode] = useState('')
+  const [password, setPassword] = useState('')
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
   const [error, setError] = useState('')
-  const [success, setSuccess] = useState('')
-
-  const token = localStorage.getItem('auth_token')
-  const headers = { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' }
+  const [busy, setBusy] = useState(false)
+  const headers = { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}`, 'Content-Type': 'application/json' }
+
+  const loadStatus = () => {
+    fetch('/api/auth/2fa', { headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` } })
+      .then(res => res.json())
+      .then(setStatus)
+      .catch(() => setError('Failed to load two-factor status'))
+  }
 
-  useEffect(() => { fetchUsers() }, [])
+  useEffect(loadStatus, [])
 
-  const fetchUsers = async () => {
+  const post = async (path, body) => {
+    setBusy(true)
+    setError('')
     try {
-      const res = await fetch('/api/admin/users', { headers })
-      if (res.ok) {
-        const data = await res.json()
-        setUsers(data.users)
+      const res = await fetch(`/api/auth/2fa/${path}`, { method: 'POST', headers, body: JSON.stringify(body || {}) })
+      const data = await res.json()
+      if (!res.ok) {
+        setError(data.error)
+        return null
       }
-    } catch (err) {
-      setError('Failed to load users')
+      return data
+    } catch {
+      setError('Request failed')
+      return null
     } finally {
-      setLoading(false)
+      setBusy(false)
     }
   }
 
-  const handleSubmit = async (e) => {
-    e.preventDefault()
-    setError('')
-    setSuccess('')
-    
-    try {
-      const url = editUser ? `/api/admin/users/${editUser.id}` : '/api/admin/users'
-      const method = editUser ? 'PUT' : 'POST'
-      const body = editUser 
-        ? { ...form, password: form.password || undefined }
-        : form
+  const startSetup = async () => {
+    const data = await post('setup')
+    if (data) setSetup(data)
+  }
 
-      const res = await fetch(url, { method, headers, body: JSON.stringify(body) })
-      const data = await res.json()
-      
-      if (res.ok) {
-        setSuccess(editUser ? 'User updated' : 'User created')
-        setShowAdd(false)
-        setEditUser(null)
-        setForm({ username: '', email: '', password: '', role: 'user' })
-        fetchUsers()
-      } else {
-        setError(data.error)
-      }
-    } catch (err) {
-      setError('Failed to save user')
+  const enable = async (e) => {
+    e.preventDefault()
+    const data = await post('enable', { code })
+    if (data) {
+      setSetup(null)
+      setCode('')
+      setRecoveryCodes(data.recoveryCodes)
     }
   }
 
-  const toggleActive = async (user) => {
-    try {
-      const res = await fetch(`/api/admin/users/${user.id}`, {
-        method: 'PUT',
-        headers,
-        body: JSON.stringify({ active: !user.active })
-      })
-      if (res.ok) fetchUsers()
-      else {
-        const data = await res.json()
-        setError(data.error)
-      }
-    } catch (err) {
-      setError('Failed to update user')
+  const regenerate = async (e) => {
+    e.preventDefault()
+    const data = await post('recovery-codes', { code })
+    if (data) {
+      setCode('')
+      setRecoveryCodes(data.recoveryCodes)
     }
   }
 
-  const deleteUser = async (user) => {
-    if (!confirm(`Delete user "${user.username}"? This cannot be undone.`)) return
-    
-    try {
-      const res = await fetch(`/api/admin/users/${user.id}`, { method: 'DELETE', headers })
-      if (res.ok) {
-        setSuccess('User deleted')
-        fetchUsers()
-      } else {
-        const data = await res.json()
-        setError(data.error)
-      }
-    } catch (err) {
-      setError('Failed to delete user')
+  const disable = async (e) => {
+    e.preventDefault()
+    const data = await post('disable', { password })
+    if (data) {
+      setPassword('')
+      loadStatus()
+      onChange?.()
     }
   }
 
-  const startEdit = (user) => {
-    setEditUser(user)
-    setForm({ username: user.username, email: user.email || '', password: '', role: user.role })
-    setShowAdd(true)
+  const acknowledgeCodes = () => {
+    setRecoveryCodes(null)
+    loadStatus()
+    onChange?.()
   }
 
-  if (currentUser?.role !== 'admin') {
-    return (
-      <div className="bg-white dark:bg-slate-800 rounded-xl p-6 shadow-sm border">
-        <div className="text-center py-12">
-          <Lock className="w-12 h-12 text-slate-400 mx-auto mb-3" />
-          <h3 className="text-lg font-semibold text-slate-700 dark:text-slate-300">Admin Access Required</h3>
-          <p className="text-slate-500 mt-1">You don't have permission to access this page.</p>
-        </div>
-      </div>
-    )
-  }
+  const inputClass = 'px-3 py-2 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg text-sm'
+
+  if (!status) return <div className="flex justify-center py-6"><Loader2 className="w-6 h-6 animate-spin text-indigo-500" /></div>
 
   return (
-    <div className="space-y-6">
-      <div className="bg-white dark:bg-slate-800 rounded-xl p-6 shadow-sm border">
-        <div className="flex items-center justify-between mb-6">
-          <h3 className="font-semibold text-slate-900 dark:text-white flex items-center gap-2">
-            <Users className="w-5 h-5 text-indigo-600" /> User Management
-          </h3>
-          <button onClick={() => { setShowAdd(true); setEditUser(null); setForm({ username: '', email: '', password: '', role: 'user' }) }}
-            className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm rounded-lg flex items-center gap-2">
-            <Plus className="w-4 h-4" /> Add User
-          </button>
-        </div>
+    <div className="space-y-4">
+      {error && <div className="p-3 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400 rounded-lg flex items-center gap-2 text-sm"><AlertCircle className="w-4 h-4" /> {error}</div>}
 
-        {error && <div className="mb-4 p-3 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400 rounded-lg flex items-center gap-2"><AlertCircle className="w-4 h-4" /> {error}</div>}
-        {success && <div className="mb-4 p-3 bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-400 rounded-lg flex items-center gap-2"><CheckCircle className="w-4 h-4" /> {success}</div>}
-
-        {showAdd && (
-          <div className="mb-6 p-4 bg-slate-50 dark:bg-slate-700/50 rounded-lg">
-            <h4 className="font-medium text-slate-900 dark:text-white mb-4">{editUser ? 'Edit User' : 'Add New User'}</h4>
-            <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <input type="text" placeholder="Username *" value={form.username} onChange={(e) => setForm({ ...form, username: e.target.value })} required
-                className="px-3 py-2 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg" />
-              <input type="email" placeholder="Email" value={form.email} onChange={(e) => setForm({ ...form, email: e.target.value })}
-                className="px-3 py-2 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg" />
-              <input type="password" placeholder={editUser ? "New Password (leave blank to keep)" : "Password *"} value={form.password} onChange={(e) => setForm({ ...form, password: e.target.value })} required={!editUser}
-                className="px-3 py-2 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg" />
-              <select value={form.role} onChange={(e) => setForm({ ...form, role: e.target.value })}
-                className="px-3 py-2 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg">
-                <option value="user">User</option>
-                <option value="admin">Admin</option>
-              </select>
-              <div className="md:col-span-2 flex gap-2">
-                <button type="submit" className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg">{editUser ? 'Update' : 'Create'}</button>
-                <button type="button" onClick={() => { setShowAdd(false); setEditUser(null) }} className="px-4 py-2 bg-slate-200 dark:bg-slate-600 rounded-lg">Cancel</button>
-              </div>
-            </form>
+      {recoveryCodes ? (
+        <div>
+          <p className="text-sm text-slate-600 dark:text-slate-300 mb-3">
+            Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator, and they won't be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 p-4 bg-slate-50 dark:bg-slate-700/50 rounded-lg font-mono text-sm text-slate-900 dark:text-white">
+            {recoveryCodes.map(rc => <span key={rc}>{rc}</span>)}
           </div>
-        )}
-
-        {loading ? (
-          <div className="flex justify-center py-12"><Loader2 className="w-8 h-8 animate-spin text-indigo-500" /></div>
-        ) : (
-          <div className="overflow-x-auto">
-            <table className="w-full text-sm">
-              <thead className="bg-slate-50 dark:bg-slate-700/50">
-                <tr>
-                  <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Username</th>
-                  <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Email</th>
-                  <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Role</th>
-                  <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Status</th>
-                  <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Last Login</th>
-                  <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Actions</th>
-                </tr>
-              </thead>
-              <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
-                {users.map(user => (
-                  <tr key={user.id} className="hover:bg-slate-50 dark:hover:bg-slate-700/30">
-                    <td className="px-4 py-3 font-medium text-slate-900 dark:text-white">{user.username}</td>
-                    <td className="px-4 py-3 text-slate-600 dark:text-slate-400">{user.email || '-'}</td>
-                    <td className="px-4 py-3">
-                      <span className={`px-2 py-1 text-xs rounded-full ${user.role === 'admin' ? 'bg-purple-100 text-purple-700 dark:bg-purple-900/30 dark:text-purple-400' : 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-400'}`}>
-                        {user.role}
-                      </span>
-                    </td>
-                    <td className="px-4 py-3">
-                      <span className={`px-2 py-1 text-xs rounded-full ${user.active ? 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400' : 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400'}`}>
-                        {user.active ? 'Active' : 'Inactive'}
-                      </span>
-                    </td>
-                    <td className="px-4 py-3 text-slate-600 dark:text-slate-400">
-                      {user.last_login ? new Date(user.last_login).toLocaleDateString() : 'Never'}
-                    </td>
-                    <td className="px-4 py-3">
-                      <div className="flex gap-2">
-                        <button onClick={() => startEdit(user)} className="text-indigo-600 hover:text-indigo-800 text-xs">Edit</button>
-                        <button onClick={() => toggleActive(user)} className="text-amber-600 hover:text-amber-800 text-xs">
-                          {user.active ? 'Disable' : 'Enable'}
-                        </button>
-                        {user.id !== currentUser?.id && (
-                          <button onClick={() => deleteUser(user)} className="text-red-600 hover:text-red-800 text-xs">Delete</button>
-                        )}
-                      </div>
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
+          <button onClick={acknowledgeCodes} className="mt-3 px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm rounded-lg">I have saved these codes</button>
+        </div>
+      ) : setup ? (
+        <form onSubmit={enable} className="space-y-3">
+          <p className="text-sm text-slate-600 dark:text-slate-300">Scan this code with an authenticator app, then enter the 6-digit code it shows.</p>
+          <img src={setup.qrCode} alt="Two-factor QR code" className="w-48 h-48 bg-white p-2 rounded-lg" />
+          <p className="text-xs text-slate-500">Or enter this key manually: <span className="font-mono break-all">{setup.secret}</span></p>
+          <div className="flex gap-2">
+            <input type="text" value={code} onChange={(e) => setCode(e.target.value)} placeholder="123456" autoComplete="one-time-code" required className={inputClass} />
+            <button type="submit" disabled={busy} className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white text-sm rounded-lg disabled:opacity-50">Turn on</button>
+            <button type="button" onClick={() => setSetup(null)} className="px-4 py-2 bg-slate-200 dark:bg-slate-600 text-sm rounded-lg">Cancel</button>
           </div>
-        )}
-      </div>
+        </form>
+      ) : status.enabled ? (
+        <div className="space-y-4">
+          <p className="text-sm text-slate-600 dark:text-slate-300 flex items-center gap-2">
+            <CheckCircle className="w-4 h-4 text-green-600" /> Two-factor authentication is on. {status.recoveryCodesLeft} recovery codes left.
+          </p>
+          <form onSubmit={regenerate} className="flex flex-wrap gap-2">
+            <input type="text" value={code} onChange={(e) => setCode(e.target.value)} placeholder="Current code" autoComplete="one-time-code" required className={inputClass} />
+            <button type="submit" disabled={busy} className="px-4 py-2 bg-slate-200 dark:bg-slate-600 text-sm rounded-lg disabled:opacity-50">New recovery codes</button>
+          </form>
+          {status.required ? (
+            <p className="text-xs text-slate-500">Your role requires two-factor authentication, so it can't be turned off.</p>
+          ) : (
+            <form onSubmit={disable} className="flex flex-wrap gap-2">
+              <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="Password" required className={inputClass} />
+              <button type="submit" disabled={busy} className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white text-sm rounded-lg disabled:opacity-50">Turn off</button>
+            </form>
+          )}
+        </div>
+      ) : (
+        <div>
+          <p className="text-sm text-slate-600 dark:text-slate-300 mb-3">
+            Two-factor authentication is off. Turn it on to require a code from an authenticator app when signing in.
+          </p>
+          <button onClick={startSetup} disabled={busy} className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm rounded-lg disabled:opacity-50">Set up</button>
+        </div>
+      )}
     </div>
   )
 }
 
-// Enrichment Panel
-function EnrichmentPanel({ data, onDataUpdate }) {
-  const [loading, setLoading] = useState({})
-  const [results, setResults] = useState({})
-  const token = localStorage.getItem('auth_token')
+// "Chrome on Windows" from a user agent string, good enough to tell sessions apart
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device'
+  const browser = [['Edg/', 'Edge'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+    .find(([token]) => userAgent.includes(token))?.[1]
+  const os = [['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']]
+    .find(([token]) => userAgent.includes(token))?.[1]
+  if (!browser && !os) return userAgent.slice(0, 40)
+  return [browser || 'Browser', os].filter(Boolean).join(' on ')
+}
 
-  const runEnrichment = async (type) => {
-    setLoading(prev => ({ ...prev, [type]: true }))
-    setResults(prev => ({ ...prev, [type]: null }))
+// The signed-in user's sessions with revoke
+function SessionList() {
+  const [sessions, setSessions] = useState([])
+  const [limits, setLimits] = useState(null)
+  const [error, setError] = useState('')
+  const headers = { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` }
+
+  const loadSessions = () => {
+    fetch('/api/auth/sessions', { headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` } })
+      .then(res => res.json())
+      .then(data => {
+        setSessions(data.sessions)
+        setLimits({ idleMinutes: data.idleMinutes, maxHours: data.maxHours })
+      })
+      .catch(() => setError('Failed to load sessions'))
+  }
+
+  useEffect(loadSessions, [])
 
+  const revoke = async (path) => {
+    setError('')
     try {
-      const res = await fetch(`/api/enrich/${type}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
-        body: JSON.stringify({ data })
-      })
-      const result = await res.json()
-      setResults(prev => ({ ...prev, [type]: result }))
-      if (result.data) onDataUpdate(result.data, result.columns)
-    } catch (err) {
-      setResults(prev => ({ ...prev, [type]: { error: err.message } }))
-    } finally {
-      setLoading(prev => ({ ...prev, [type]: false }))
+      const res = await fetch(path, { method: 'DELETE', headers })
+      if (res.ok) {
+        loadSessions()
+      } else {
+        const data = await res.json()
+        setError(data.error)
+      }
+    } catch {
+      setError('Failed to revoke session')
     }
   }
 
-  const options = [
-    { id: 'carrier', title: 'Carrier Lookup', desc: 'Identify phone carriers', icon: Phone },
-    { id: 'geocode', title: 'Geocoding', desc: 'Add lat/lng from location', icon: MapPin },
-    { id: 'timezone', title: 'Timezone', desc: 'Add timezone from state', icon: Clock },
-    { id: 'property-tax', title: 'CA Property Tax', desc: 'Add county & tax rates (CA only)', icon: Building2 },
-    { id: 'property-links', title: 'Property Links', desc: 'Zillow + County Assessor URLs', icon: ExternalLink },
-  ]
-
   return (
-    <div className="space-y-6">
-      <div className="bg-white dark:bg-slate-800 rounded-xl p-6 shadow-sm border border-slate-200 dark:border-slate-700">
-        <h3 className="font-semibold text-slate-900 dark:text-white mb-2 flex items-center gap-2">
-          <Zap className="w-5 h-5 text-indigo-600" />
-          Data Enrichment
-        </h3>
-        <p className="text-slate-500 mb-6">Processing {data.length.toLocaleString()} records.</p>
-        
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-          {options.map(opt => (
-            <div key={opt.id} className="border border-slate-200 dark:border-slate-700 rounded-lg p-4">
-              <div className="flex items-start gap-3">
-                <div className="p-2 bg-indigo-500/10 rounded-lg">
-                  <opt.icon className="w-5 h-5 text-indigo-600" />
-                </div>
-                <div className="flex-1">
-                  <h4 className="font-medium text-slate-900 dark:text-white">{opt.title}</h4>
-                  <p className="text-sm text-slate-500 mt-1">{opt.desc}</p>
-                  
-                  {results[opt.id] && (
-                    <div className={`mt-3 p-2 rounded text-sm flex items-center gap-2 ${results[opt.id].error ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'}`}>
-                      {results[opt.id].error ? <AlertCircle className="w-4 h-4" /> : <CheckCircle className="w-4 h-4" />}
-                      {results[opt.id].error || results[opt.id].message}
-                    </div>
-                  )}
-                  
-                  <button onClick={() => runEnrichment(opt.id)} disabled={loading[opt.id]}
-                    className="mt-3 px-4 py-2 text-sm bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg disabled:opacity-50 flex items-center gap-2">
-                    {loading[opt.id] && <Loader2 className="w-4 h-4 animate-spin" />}
-                    {loading[opt.id] ? 'Processing...' : 'Run'}
-                  </button>
-                </div>
-              </div>
+    <div>
+      {error && <div className="mb-4 p-3 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400 rounded-lg flex items-center gap-2 text-sm"><AlertCircle className="w-4 h-4" /> {error}</div>}
+      {limits && (
+        <p className="text-sm text-slate-500 mb-4">
+          Sessions end after {limits.idleMinutes} minutes without activity, and {limits.maxHours} hours after signing in.
+        </p>
+      )}
+      <div className="divide-y divide-slate-200 dark:divide-slate-700">
+        {sessions.map(session => (
+          <div key={session.id} className="py-3 flex items-center justify-between">
+            <div>
+              <p className="text-sm font-medium text-slate-900 dark:text-white flex items-center gap-2">
+                {describeDevice(session.user_agent)}
+                {session.current && <span className="text-xs bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400 px-2 py-0.5 rounded">This session</span>}
+              </p>
+              <p className="text-xs text-slate-500">
+                {session.ip || 'Unknown IP'} - last seen {new Date(session.last_seen_at).toLocaleString()} - signed in {new Date(session.created_at).toLocaleString()}
+              </p>
             </div>
-          ))}
-        </div>
+            {!session.current && (
+              <button onClick={() => revoke(`/api/auth/sessions/${session.id}`)} className="text-red-600 hover:text-red-800 text-xs">Revoke</button>
+            )}
+          </div>
+        ))}
       </div>
+      {sessions.length > 1 && (
+        <button onClick={() => revoke('/api/auth/sessions')} className="mt-3 px-4 py-2 bg-slate-200 dark:bg-slate-600 text-sm rounded-lg">
+          Sign out all other sessions
+        </button>
+      )}
     </div>
   )
 }
 
-// PDF Export
-function exportPDF(elementId, filename = 'report.pdf') {
-  const element = document.getElementById(elementId)
-  if (!element) return
+// Long-lived keys for scripts, sent as `Authorization: Bearer <key>`
+function ApiKeyList() {
+  const [keys, setKeys] = useState([])
+  const [scopes, setScopes] = useState([])
+  const [form, setForm] = useState({ name: '', scope: 'read', expiresInDays: '' })
+  const [newKey, setNewKey] = useState(null)
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+  const headers = { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}`, 'Content-Type': 'application/json' }
+
+  const loadKeys = () => {
+    fetch('/api/auth/api-keys', { headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` } })
+      .then(res => res.json())
+      .then(data => {
+        setKeys(data.keys)
+        setScopes(data.scopes)
+      })
+      .catch(() => setError('Failed to load API keys'))
+  }
 
-  html2canvas(element, { scale: 2 }).then(canvas => {
-    const imgData = canvas.toDataURL('image/png')
-    const pdf = new jsPDF('p', 'mm', 'a4')
-    const pdfWidth = pdf.internal.pageSize.getWidth()
-    const pdfHeight = (canvas.height * pdfWidth) / canvas.width
-    pdf.addImage(imgData, 'PNG', 0, 0, pdfWidth, pdfHeight)
-    pdf.save(filename)
-  })
-}
+  useEffect(loadKeys, [])
+
+  const createKey = async (e) => {
+    e.preventDefault()
+    setBusy(true)
+    setError('')
+    try {
+      const res = await fetch('/api/auth/api-keys', {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ ...form, expiresInDays: form.expiresInDays || null })
+      })
+      const data = await res.json()
+      if (res.ok) {
+        setNewKey({ name: data.apiKey.name, key: data.key })
+        setForm({ name: '', scope: form.scope, expiresInDays: '' })
+        loadKeys()
+      } else {
+        setError(data.error)
+      }
+    } catch {
+      setError('Failed to create API key')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const revokeKey = async (key) => {
+    if (!confirm(`Revoke the API key "${key.name}"? Scripts using it will stop working.`)) return
+    setError('')
+    try {
+      const res = await fetch(`/api/auth/api-keys/${key.id}`, { method: 'DELETE', headers })
+      if (res.ok) {
+        loadKeys()
+      } else {
+        const data = await res.json()
+        setError(data.error)
+      }
+    } catch {
+      setError('Failed to revoke API key')
+    }
+  }
+
+  const inputClass = 'px-3 py-2 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg text-sm'
+
+  return (
+    <div>
+      {error && <div className="mb-4 p-3 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400 rounded-lg flex items-center gap-2 text-sm"><AlertCircle className="w-4 h-4" /> {error}</div>}
+      {newKey && (
+        <div className="mb-4 p-3 bg-indigo-50 dark:bg-indigo-900/20 rounded-lg text-sm">
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-indigo-700 dark:text-indigo-300">Copy the key for "{newKey.name}" now, it won't be shown again:</p>
+            <button onClick={() => setNewKey(null)} className="text-slate-400 hover:text-slate-600"><X className="w-4 h-4" /></button>
+          </div>
+          <div className="flex gap-2">
+            <input type="text" readOnly value={newKey.key} onFocus={(e) => e.target.select()} className={`${inputClass} flex-1 font-mono text-xs`} />
+            <button onClick={() => navigator.clipboard.writeText(newKey.key)} className="px-3 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-xs rounded-lg flex items-center gap-1">
+              <Copy className="w-3 h-3" /> Copy
+            </button>
+          </div>
+        </div>
+      )}
+      {keys.length === 0 ? (
+        <p className="text-sm text-slate-500 mb-4">No API keys yet.</p>
+      ) : (
+        <div className="divide-y divide-slate-200 dark:divide-slate-700 mb-4">
+          {keys.map(key => (
+            <div key={key.id} className="py-3 flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-slate-900 dark:text-white flex items-center gap-2">
+                  {key.name}
+                  <span className="text-xs bg-slate-100 dark:bg-slate-700 text-slate-600 dark:text-slate-300 px-2 py-0.5 rounded">{key.scope}</span>
+                  <span className="text-xs font-mono text-slate-400">{key.key_prefix}…</span>
+                </p>
+                <p className="text-xs text-slate-500">
+                  Created {new Date(key.created_at).toLocaleDateString()}
+                  {' - '}{key.expires_at ? `expires ${new Date(key.expires_at).toLocaleDateString()}` : 'never expires'}
+                  {' - '}{key.last_used_at ? `last used ${new Date(key.last_used_at).toLocaleString()}` : 'never used'}
+                </p>
+              </div>
+              <button onClick={() => revokeKey(key)} className="text-red-600 hover:text-red-800 text-xs">Revoke</button>
+            </div>
+          ))}
+        </div>
+      )}
+      {scopes.length > 0 && (
+        <form onSubmit={createKey} className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <input type="text" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} placeholder="Key name, e.g. BI export" required className={inputClass} />
+          <select value={form.scope} onChange={(e) => setForm({ ...form, scope: e.target.value })} className={inputClass}>
+            {scopes.map(scope => <option key={scope.name} value={scope.name} title={scope.description}>{scope.name} - {scope.description}</option>)}
+          </select>
+          <select value={form.expiresInDays} onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })} className={inputClass}>
+            <option value="">Never expires</option>
+            <option value="30">Expires in 30 days</option>
+            <option value="90">Expires in 90 days</option>
+            <option value="365">Expires in 1 year</option>
+          </select>
+          <button type="submit" disabled={busy} className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm rounded-lg disabled:opacity-50 flex items-center justify-center gap-2">
+            <Plus className="w-4 h-4" /> Create key
+          </button>
+        </form>
+      )}
+    </div>
+  )
+}
+
+function PasswordSettings() {
+  const [policy, setPolicy] = useState(null)
+  const [form, setForm] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' })
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    fetch('/api/auth/password-policy')
+      .then(res => res.json())
+      .then(setPolicy)
+      .catch(() => {})
+  }, [])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+    setSuccess('')
+    if (form.newPassword !== form.confirmPassword) {
+      setError('New passwords do not match')
+      return
+    }
+    setBusy(true)
+    try {
+      const res = await fetch('/api/auth/password', {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ currentPassword: form.currentPassword, newPassword: form.newPassword })
+      })
+      const data = await res.json()
+      if (res.ok) {
+        setSuccess('Password changed. Your other sessions have been signed out.')
+        setForm({ currentPassword: '', newPassword: '', confirmPassword: '' })
+      } else {
+        setError(data.error)
+      }
+    } catch {
+      setError('Failed to change password')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const inputClass = 'px-3 py-2 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg text-sm'
+
+  return (
+    <div>
+      {error && <div className="mb-4 p-3 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400 rounded-lg flex items-center gap-2 text-sm"><AlertCircle className="w-4 h-4" /> {error}</div>}
+      {success && <div className="mb-4 p-3 bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-400 rounded-lg flex items-center gap-2 text-sm"><CheckCircle className="w-4 h-4" /> {success}</div>}
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <input type="password" value={form.currentPassword} onChange={(e) => setForm({ ...form, currentPassword: e.target.value })} placeholder="Current password" autoComplete="current-password" required className={inputClass} />
+        <input type="password" value={form.newPassword} onChange={(e) => setForm({ ...form, newPassword: e.target.value })} placeholder="New password" autoComplete="new-password" required className={inputClass} />
+        <input type="password" value={form.confirmPassword} onChange={(e) => setForm({ ...form, confirmPassword: e.target.value })} placeholder="Confirm new password" autoComplete="new-password" required className={inputClass} />
+        <div className="md:col-span-3 flex items-center justify-between gap-4">
+          <p className="text-xs text-slate-500">{policy && describePasswordPolicy(policy)}</p>
+          <button type="submit" disabled={busy} className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm rounded-lg disabled:opacity-50 whitespace-nowrap">Change password</button>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+// The signed-in user's own security settings
+function AccountPanel({ user, onUserChange }) {
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-slate-800 rounded-xl p-6 shadow-sm border">
+        <h3 className="font-semibold text-slate-900 dark:text-white flex items-center gap-2 mb-4">
+          <KeyRound className="w-5 h-5 text-indigo-600" /> Password
+        </h3>
+        <PasswordSettings />
+      </div>
+
+      <div className="bg-white dark:bg-slate-800 rounded-xl p-6 shadow-sm border">
+        <h3 className="font-semibold text-slate-900 dark:text-white flex items-center gap-2 mb-4">
+          <Lock className="w-5 h-5 text-indigo-600" /> Sessions
+        </h3>
+        <SessionList />
+      </div>
+
+      <div className="bg-white dark:bg-slate-800 rounded-xl p-6 shadow-sm border">
+        <h3 className="font-semibold text-slate-900 dark:text-white flex items-center gap-2 mb-4">
+          <Key className="w-5 h-5 text-indigo-600" /> API Keys
+        </h3>
+        <ApiKeyList />
+      </div>
+
+      <div className="bg-white dark:bg-slate-800 rounded-xl p-6 shadow-sm border">
+        <h3 className="font-semibold text-slate-900 dark:text-white flex items-center gap-2 mb-1">
+          <Shield className="w-5 h-5 text-indigo-600" /> Two-Factor Authentication
+        </h3>
+        <p className="text-sm text-slate-500 mb-4">Signed in as {user?.username}</p>
+        <TwoFactorSettings onChange={onUserChange} />
+      </div>
+    </div>
+  )
+}
+
+// Audit log of logins, data access, exports and admin actions
+function AuditLog({ users }) {
+  const [entries, setEntries] = useState([])
+  const [actions, setActions] = useState([])
+  const [total, setTotal] = useState(0)
+  const [page, setPage] = useState(0)
+  const [query, setQuery] = useState({ user: '', action: '', start: '', end: '' })
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const pageSize = 50
+
+  useEffect(() => {
+    const params = new URLSearchParams({ page, pageSize })
+    Object.entries(query).forEach(([key, value]) => { if (value) params.set(key, value) })
+    fetch(`/api/admin/audit?${params}`, { headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` } })
+      .then(res => res.json())
+      .then(data => {
+        if (data.error) throw new Error(data.error)
+        setEntries(data.entries)
+        setActions(data.actions)
+        setTotal(data.total)
+        setError('')
+      })
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false))
+  }, [query, page])
+
+  const updateQuery = (changes) => {
+    setLoading(true)
+    setQuery(prev => ({ ...prev, ...changes }))
+    setPage(0)
+  }
+
+  const goToPage = (next) => {
+    setLoading(true)
+    setPage(next)
+  }
+
+  const totalPages = Math.max(1, Math.ceil(total / pageSize))
+  const inputClass = 'px-3 py-2 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg text-sm'
+
+  return (
+    <div className="bg-white dark:bg-slate-800 rounded-xl p-6 shadow-sm border">
+      <h3 className="font-semibold text-slate-900 dark:text-white flex items-center gap-2 mb-4">
+        <Activity className="w-5 h-5 text-indigo-600" /> Audit Log
+      </h3>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        <select value={query.user} onChange={(e) => updateQuery({ user: e.target.value })} className={inputClass}>
+          <option value="">All users</option>
+          {users.map(u => <option key={u.id} value={u.username}>{u.username}</option>)}
+        </select>
+        <select value={query.action} onChange={(e) => updateQuery({ action: e.target.value })} className={inputClass}>
+          <option value="">All actions</option>
+          {[...new Set(actions.map(a => a.split('.')[0]))].map(group => (
+            <optgroup key={group} label={group}>
+              <option value={group}>{group}.*</option>
+              {actions.filter(a => a.startsWith(`${group}.`)).map(a => <option key={a} value={a}>{a}</option>)}
+            </optgroup>
+          ))}
+        </select>
+        <input type="date" value={query.start} onChange={(e) => updateQuery({ start: e.target.value })} className={inputClass} />
+        <input type="date" value={query.end} onChange={(e) => updateQuery({ end: e.target.value })} className={inputClass} />
+      </div>
+
+      {error && <div className="mb-4 p-3 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400 rounded-lg flex items-center gap-2"><AlertCircle className="w-4 h-4" /> {error}</div>}
+
+      {loading ? (
+        <div className="flex justify-center py-12"><Loader2 className="w-8 h-8 animate-spin text-indigo-500" /></div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-slate-50 dark:bg-slate-700/50">
+              <tr>
+                {['Time', 'User', 'Action', 'Target', 'Status', 'IP', 'Details'].map(label => (
+                  <th key={label} className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
+              {entries.map(entry => (
+                <tr key={entry.id} className="hover:bg-slate-50 dark:hover:bg-slate-700/30">
+                  <td className="px-4 py-2 text-slate-600 dark:text-slate-400 whitespace-nowrap">{new Date(entry.created_at).toLocaleString()}</td>
+                  <td className="px-4 py-2 text-slate-900 dark:text-white">{entry.username || '-'}</td>
+                  <td className="px-4 py-2 font-mono text-xs text-slate-700 dark:text-slate-300">{entry.action}</td>
+                  <td className="px-4 py-2 text-slate-600 dark:text-slate-400">{entry.target || '-'}</td>
+                  <td className="px-4 py-2">
+                    <span className={`px-2 py-0.5 text-xs rounded-full ${entry.status < 400 ? 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400' : 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400'}`}>
+                      {entry.status}
+                    </span>
+                  </td>
+                  <td className="px-4 py-2 text-xs text-slate-500">{entry.ip || '-'}</td>
+                  <td className="px-4 py-2 font-mono text-xs text-slate-500 max-w-md truncate" title={entry.details ? JSON.stringify(entry.details) : ''}>
+                    {entry.details ? JSON.stringify(entry.details) : '-'}
+                  </td>
+                </tr>
+              ))}
+              {entries.length === 0 && (
+                <tr><td colSpan={7} className="px-4 py-8 text-center text-slate-500">No matching entries</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="mt-4 flex items-center justify-between">
+        <span className="text-sm text-slate-500">{total.toLocaleString()} entries - page {page + 1} of {totalPages}</span>
+        <div className="flex gap-2">
+          <button onClick={() => goToPage(page - 1)} disabled={page === 0}
+            className="px-3 py-1 text-sm bg-white dark:bg-slate-600 border rounded hover:bg-slate-100 disabled:opacity-50">Previous</button>
+          <button onClick={() => goToPage(page + 1)} disabled={page >= totalPages - 1}
+            className="px-3 py-1 text-sm bg-white dark:bg-slate-600 border rounded hover:bg-slate-100 disabled:opacity-50">Next</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Offline lookup tables the enrichments read; admins can import a refreshed file or go back to the bundled one
+function ReferenceData() {
+  const [datasets, setDatasets] = useState([])
+  const [busy, setBusy] = useState(null)
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+
+  const loadDatasets = () => {
+    fetch('/api/admin/reference', { headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` } })
+      .then(res => res.json())
+      .then(data => setDatasets(data.datasets || []))
+      .catch(() => {})
+  }
+
+  useEffect(loadDatasets, [])
+
+  const updateDataset = async (name, path, body) => {
+    setBusy(name)
+    setError('')
+    setSuccess('')
+    try {
+      const res = await fetch(`/api/admin/reference/${path}`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` },
+        body
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error)
+      setSuccess(`Loaded ${data.dataset.row_count.toLocaleString()} rows${data.dataset.skipped_count ? `, skipped ${data.dataset.skipped_count.toLocaleString()} invalid ones` : ''}`)
+      loadDatasets()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const importFile = (name, e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    const formData = new FormData()
+    formData.append('file', file)
+    updateDataset(name, name, formData)
+  }
+
+  return (
+    <div className="bg-white dark:bg-slate-800 rounded-xl p-6 shadow-sm border">
+      <h3 className="font-semibold text-slate-900 dark:text-white flex items-center gap-2 mb-4">
+        <Database className="w-5 h-5 text-indigo-600" /> Reference Data
+      </h3>
+
+      {error && <div className="mb-4 p-3 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400 rounded-lg text-sm">{error}</div>}
+      {success && <div className="mb-4 p-3 bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-400 rounded-lg text-sm">{success}</div>}
+
+      <div className="space-y-4">
+        {datasets.map(dataset => (
+          <div key={dataset.name} className="border border-slate-200 dark:border-slate-700 rounded-lg p-4">
+            <div className="flex items-start justify-between gap-4">
+              <div>
+                <h4 className="font-medium text-slate-900 dark:text-white">{dataset.title}</h4>
+                <p className="text-sm text-slate-500 mt-1">{dataset.description}</p>
+                <p className="text-xs text-slate-500 mt-2">
+                  {dataset.source === 'bundled' ? 'Bundled data' : <>Imported from <span className="font-mono">{dataset.source}</span>{dataset.imported_by_name && ` by ${dataset.imported_by_name}`}</>}
+                  {dataset.row_count != null && ` · ${dataset.row_count.toLocaleString()} rows`}
+                  {dataset.imported_at && ` · loaded ${new Date(dataset.imported_at).toLocaleString()}`}
+                </p>
+              </div>
+              <div className="flex items-center gap-2 shrink-0">
+                {busy === dataset.name && <Loader2 className="w-4 h-4 animate-spin text-indigo-600" />}
+                <label className={`px-3 py-1.5 text-sm bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg flex items-center gap-1 cursor-pointer ${busy ? 'opacity-50 pointer-events-none' : ''}`}>
+                  <Upload className="w-4 h-4" /> Import CSV
+                  <input type="file" accept=".csv,.tsv,.txt" className="hidden" onChange={(e) => importFile(dataset.name, e)} />
+                </label>
+                {dataset.source !== 'bundled' && (
+                  <button onClick={() => updateDataset(dataset.name, `${dataset.name}/reset`)} disabled={!!busy}
+                    className="px-3 py-1.5 text-sm text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700 rounded-lg flex items-center gap-1 disabled:opacity-50">
+                    <RefreshCw className="w-4 h-4" /> Use bundled
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// Admin Panel
+function AdminPanel({ currentUser }) {
+  const [users, setUsers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showAdd, setShowAdd] = useState(false)
+  const [editUser, setEditUser] = useState(null)
+  const emptyForm = { username: '', email: '', password: '', role: 'user', scopes: [] }
+  const [form, setForm] = useState(emptyForm)
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+  const [roles, setRoles] = useState([])
+  const [permissions, setPermissions] = useState({})
+  const [piiFields, setPiiFields] = useState({})
+  const [maskModes, setMaskModes] = useState({})
+  const [roleForm, setRoleForm] = useState(null)
+  const [scopeColumns, setScopeColumns] = useState([])
+  const [tab, setTab] = useState('users')
+  const [resetLink, setResetLink] = useState(null)
+
+  const token = localStorage.getItem('auth_token')
+  const headers = { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' }
+
+  useEffect(() => { fetchUsers(); fetchRoles() }, [])
+
+  const fetchRoles = async () => {
+    try {
+      const res = await fetch('/api/admin/roles', { headers })
+      if (res.ok) {
+        const data = await res.json()
+        setRoles(data.roles)
+        setPermissions(data.permissions)
+        setPiiFields(data.piiFields)
+        setMaskModes(data.maskModes)
+      }
+    } catch {
+      setError('Failed to load roles')
+    }
+  }
+
+  const saveRole = async (e) => {
+    e.preventDefault()
+    setError('')
+    setSuccess('')
+
+    try {
+      const url = roleForm.existing ? `/api/admin/roles/${roleForm.name}` : '/api/admin/roles'
+      const method = roleForm.existing ? 'PUT' : 'POST'
+      const { name, description, permissions, require2fa, masking } = roleForm
+      // The admin role's permissions are fixed, only its other settings are sent
+      const body = { name, description, require2fa, masking, permissions: name === 'admin' ? undefined : permissions }
+      const res = await fetch(url, { method, headers, body: JSON.stringify(body) })
+      const data = await res.json()
+
+      if (res.ok) {
+        setSuccess(roleForm.existing ? 'Role updated' : 'Role created')
+        setRoleForm(null)
+        fetchRoles()
+      } else {
+        setError(data.error)
+      }
+    } catch {
+      setError('Failed to save role')
+    }
+  }
+
+  const deleteRole = async (role) => {
+    if (!confirm(`Delete role ${role.name}?`)) return
+    try {
+      const res = await fetch(`/api/admin/roles/${role.name}`, { method: 'DELETE', headers })
+      if (res.ok) {
+        setSuccess('Role deleted')
+        fetchRoles()
+      } else {
+        const data = await res.json()
+        setError(data.error)
+      }
+    } catch {
+      setError('Failed to delete role')
+    }
+  }
+
+  const toggleRolePermission = (permission) => {
+    const granted = roleForm.permissions.includes(permission)
+    setRoleForm({
+      ...roleForm,
+      permissions: granted ? roleForm.permissions.filter(p => p !== permission) : [...roleForm.permissions, permission]
+    })
+  }
+
+  const fetchUsers = async () => {
+    try {
+      const res = await fetch('/api/admin/users', { headers })
+      if (res.ok) {
+        const data = await res.json()
+        setUsers(data.users)
+        setScopeColumns(data.scopeColumns)
+      }
+    } catch (err) {
+      setError('Failed to load users')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+    setSuccess('')
+    
+    try {
+      const url = editUser ? `/api/admin/users/${editUser.id}` : '/api/admin/users'
+      const method = editUser ? 'PUT' : 'POST'
+      // Scope values are edited as comma-separated text
+      const scopes = form.scopes
+        .map(scope => ({ column: scope.column, values: scope.values.split(',').map(v => v.trim()).filter(Boolean) }))
+        .filter(scope => scope.values.length > 0)
+      const body = editUser 
+        ? { ...form, scopes, password: form.password || undefined }
+        : { ...form, scopes }
+
+      const res = await fetch(url, { method, headers, body: JSON.stringify(body) })
+      const data = await res.json()
+      
+      if (res.ok) {
+        setSuccess(editUser ? 'User updated' : 'User created')
+        setShowAdd(false)
+        setEditUser(null)
+        setForm(emptyForm)
+        fetchUsers()
+      } else {
+        setError(data.error)
+      }
+    } catch (err) {
+      setError('Failed to save user')
+    }
+  }
+
+  const toggleActive = async (user) => {
+    try {
+      const res = await fetch(`/api/admin/users/${user.id}`, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify({ active: !user.active })
+      })
+      if (res.ok) fetchUsers()
+      else {
+        const data = await res.json()
+        setError(data.error)
+      }
+    } catch (err) {
+      setError('Failed to update user')
+    }
+  }
+
+  const deleteUser = async (user) => {
+    if (!confirm(`Delete user "${user.username}"? This cannot be undone.`)) return
+    
+    try {
+      const res = await fetch(`/api/admin/users/${user.id}`, { method: 'DELETE', headers })
+      if (res.ok) {
+        setSuccess('User deleted')
+        fetchUsers()
+      } else {
+        const data = await res.json()
+        setError(data.error)
+      }
+    } catch (err) {
+      setError('Failed to delete user')
+    }
+  }
+
+  const unlockUser = async (user) => {
+    try {
+      const res = await fetch(`/api/admin/users/${user.id}/unlock`, { method: 'PUT', headers })
+      if (res.ok) {
+        setSuccess(`${user.username} unlocked`)
+        fetchUsers()
+      } else {
+        const data = await res.json()
+        setError(data.error)
+      }
+    } catch {
+      setError('Failed to unlock user')
+    }
+  }
+
+  const forceLogout = async (user) => {
+    if (!confirm(`Sign ${user.username} out of every session?`)) return
+    try {
+      const res = await fetch(`/api/admin/users/${user.id}/sessions`, { method: 'DELETE', headers })
+      const data = await res.json()
+      if (res.ok) {
+        setSuccess(`Ended ${data.revoked} session${data.revoked === 1 ? '' : 's'} of ${user.username}`)
+        fetchUsers()
+      } else {
+        setError(data.error)
+      }
+    } catch {
+      setError('Failed to sign the user out')
+    }
+  }
+
+  // The admin passes the link on; the user picks their own password with it
+  const createResetLink = async (user) => {
+    if (!confirm(`Create a password reset link for ${user.username}? Any earlier link stops working.`)) return
+    try {
+      const res = await fetch(`/api/admin/users/${user.id}/reset-token`, { method: 'POST', headers })
+      const data = await res.json()
+      if (res.ok) {
+        setResetLink({ username: user.username, url: `${window.location.origin}/?reset=${data.token}`, expiresAt: data.expiresAt })
+      } else {
+        setError(data.error)
+      }
+    } catch {
+      setError('Failed to create reset link')
+    }
+  }
+
+  const resetTwoFactor = async (user) => {
+    if (!confirm(`Turn off two-factor authentication for ${user.username}? They will need to set it up again.`)) return
+    try {
+      const res = await fetch(`/api/admin/users/${user.id}/2fa`, { method: 'DELETE', headers })
+      if (res.ok) {
+        setSuccess(`Two-factor authentication reset for ${user.username}`)
+        fetchUsers()
+      } else {
+        const data = await res.json()
+        setError(data.error)
+      }
+    } catch {
+      setError('Failed to reset two-factor authentication')
+    }
+  }
+
+  const updateScope = (index, changes) => {
+    setForm({ ...form, scopes: form.scopes.map((scope, i) => i === index ? { ...scope, ...changes } : scope) })
+  }
+
+  const startEdit = (user) => {
+    setEditUser(user)
+    setForm({
+      username: user.username, email: user.email || '', password: '', role: user.role,
+      scopes: user.scopes.map(scope => ({ column: scope.column, values: scope.values.join(', ') }))
+    })
+    setShowAdd(true)
+  }
+
+  if (!can(currentUser, 'users.manage')) {
+    return (
+      <div className="bg-white dark:bg-slate-800 rounded-xl p-6 shadow-sm border">
+        <div className="text-center py-12">
+          <Lock className="w-12 h-12 text-slate-400 mx-auto mb-3" />
+          <h3 className="text-lg font-semibold text-slate-700 dark:text-slate-300">Admin Access Required</h3>
+          <p className="text-slate-500 mt-1">You don't have permission to access this page.</p>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex bg-slate-100 dark:bg-slate-700 rounded-lg p-1 w-fit">
+        {[
+          { id: 'users', icon: Users, label: 'Users & Roles' },
+          { id: 'audit', icon: Activity, label: 'Audit' },
+          { id: 'reference', icon: Database, label: 'Reference Data' }
+        ].map(item => (
+          <button key={item.id} onClick={() => setTab(item.id)}
+            className={`px-3 py-1.5 text-sm rounded-md transition-colors flex items-center gap-1 ${tab === item.id ? 'bg-white dark:bg-slate-600 shadow-sm text-indigo-600 dark:text-indigo-400' : 'hover:bg-white/50 text-slate-600 dark:text-slate-400'}`}>
+            <item.icon className="w-4 h-4" /> {item.label}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'audit' && <AuditLog users={users} />}
+      {tab === 'reference' && <ReferenceData />}
+      {tab === 'users' && (
+        <>
+          <div className="bg-white dark:bg-slate-800 rounded-xl p-6 shadow-sm border">
+            <div className="flex items-center justify-between mb-6">
+              <h3 className="font-semibold text-slate-900 dark:text-white flex items-center gap-2">
+                <Users className="w-5 h-5 text-indigo-600" /> User Management
+              </h3>
+              <button onClick={() => { setShowAdd(true); setEditUser(null); setForm(emptyForm) }}
+                className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm rounded-lg flex items-center gap-2">
+                <Plus className="w-4 h-4" /> Add User
+              </button>
+            </div>
+
+            {error && <div className="mb-4 p-3 bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400 rounded-lg flex items-center gap-2"><AlertCircle className="w-4 h-4" /> {error}</div>}
+            {success && <div className="mb-4 p-3 bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-400 rounded-lg flex items-center gap-2"><CheckCircle className="w-4 h-4" /> {success}</div>}
+            {resetLink && (
+              <div className="mb-4 p-3 bg-indigo-50 dark:bg-indigo-900/20 rounded-lg text-sm">
+                <div className="flex items-center justify-between mb-2">
+                  <p className="text-indigo-700 dark:text-indigo-300">
+                    Password reset link for {resetLink.username}, valid once until {new Date(resetLink.expiresAt).toLocaleString()}:
+                  </p>
+                  <button onClick={() => setResetLink(null)} className="text-slate-400 hover:text-slate-600"><X className="w-4 h-4" /></button>
+                </div>
+                <div className="flex gap-2">
+                  <input type="text" readOnly value={resetLink.url} onFocus={(e) => e.target.select()}
+                    className="flex-1 px-3 py-2 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg text-xs font-mono" />
+                  <button onClick={() => navigator.clipboard.writeText(resetLink.url)} className="px-3 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-xs rounded-lg flex items-center gap-1">
+                    <Copy className="w-3 h-3" /> Copy
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {showAdd && (
+              <div className="mb-6 p-4 bg-slate-50 dark:bg-slate-700/50 rounded-lg">
+                <h4 className="font-medium text-slate-900 dark:text-white mb-4">{editUser ? 'Edit User' : 'Add New User'}</h4>
+                <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <input type="text" placeholder="Username *" value={form.username} onChange={(e) => setForm({ ...form, username: e.target.value })} required
+                    className="px-3 py-2 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg" />
+                  <input type="email" placeholder="Email" value={form.email} onChange={(e) => setForm({ ...form, email: e.target.value })}
+                    className="px-3 py-2 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg" />
+                  <input type="password" placeholder={editUser ? "New Password (leave blank to keep)" : "Password *"} value={form.password} onChange={(e) => setForm({ ...form, password: e.target.value })} required={!editUser}
+                    className="px-3 py-2 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg" />
+                  <select value={form.role} onChange={(e) => setForm({ ...form, role: e.target.value })}
+                    className="px-3 py-2 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg">
+                    {roles.map(role => <option key={role.name} value={role.name}>{role.name}</option>)}
+                  </select>
+                  <div className="md:col-span-2 space-y-2">
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm text-slate-600 dark:text-slate-300">Data scopes {form.scopes.length === 0 && <span className="text-slate-400">(none, sees every row)</span>}</span>
+                      <button type="button" onClick={() => setForm({ ...form, scopes: [...form.scopes, { column: 'TeleCaptureName', values: '' }] })}
+                        className="text-xs text-indigo-600 hover:text-indigo-800 flex items-center gap-1">
+                        <Plus className="w-3 h-3" /> Add scope
+                      </button>
+                    </div>
+                    {form.scopes.map((scope, i) => (
+                      <div key={i} className="flex gap-2">
+                        <select value={scope.column} onChange={(e) => updateScope(i, { column: e.target.value })}
+                          className="px-3 py-2 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg text-sm">
+                          {scopeColumns.map(col => <option key={col} value={col}>{col}</option>)}
+                        </select>
+                        <input type="text" placeholder="Values, comma-separated" value={scope.values} onChange={(e) => updateScope(i, { values: e.target.value })}
+                          className="flex-1 px-3 py-2 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg text-sm" />
+                        <button type="button" onClick={() => setForm({ ...form, scopes: form.scopes.filter((_, j) => j !== i) })}
+                          className="p-2 text-slate-400 hover:text-red-500">
+                          <X className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="md:col-span-2 flex gap-2">
+                    <button type="submit" className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg">{editUser ? 'Update' : 'Create'}</button>
+                    <button type="button" onClick={() => { setShowAdd(false); setEditUser(null) }} className="px-4 py-2 bg-slate-200 dark:bg-slate-600 rounded-lg">Cancel</button>
+                  </div>
+                </form>
+              </div>
+            )}
+
+            {loading ? (
+              <div className="flex justify-center py-12"><Loader2 className="w-8 h-8 animate-spin text-indigo-500" /></div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-slate-50 dark:bg-slate-700/50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Username</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Email</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Role</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Data Scope</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Status</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Last Login</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-slate-500 uppercase">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
+                    {users.map(user => (
+                      <tr key={user.id} className="hover:bg-slate-50 dark:hover:bg-slate-700/30">
+                        <td className="px-4 py-3 font-medium text-slate-900 dark:text-white">{user.username}</td>
+                        <td className="px-4 py-3 text-slate-600 dark:text-slate-400">{user.email || '-'}</td>
+                        <td className="px-4 py-3">
+                          <span className={`px-2 py-1 text-xs rounded-full ${user.role === 'admin' ? 'bg-purple-100 text-purple-700 dark:bg-purple-900/30 dark:text-purple-400' : 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-400'}`}>
+                            {user.role}
+                          </span>
+                        </td>
+                        <td className="px-4 py-3 text-xs text-slate-600 dark:text-slate-400">
+                          {user.scopes.length > 0 ? describeScopes(user.scopes) : 'All data'}
+                        </td>
+                        <td className="px-4 py-3">
+                          <span className={`px-2 py-1 text-xs rounded-full ${user.active ? 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400' : 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400'}`}>
+                            {user.active ? 'Active' : 'Inactive'}
+                          </span>
+                          {user.totp_enabled ? (
+                            <span className="ml-1 px-2 py-1 text-xs rounded-full bg-indigo-100 text-indigo-700 dark:bg-indigo-900/30 dark:text-indigo-400">2FA</span>
+                          ) : null}
+                          {user.sso ? (
+                            <span title="Linked to the single sign-on provider" className="ml-1 px-2 py-1 text-xs rounded-full bg-slate-100 text-slate-700 dark:bg-slate-700 dark:text-slate-300">SSO</span>
+                          ) : null}
+                          {isLocked(user) && (
+                            <span title={`Locked until ${new Date(user.locked_until).toLocaleString()}`} className="ml-1 px-2 py-1 text-xs rounded-full bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400">
+                              Locked
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-slate-600 dark:text-slate-400">
+                          {user.last_login ? new Date(user.last_login).toLocaleDateString() : 'Never'}
+                          {user.session_count > 0 && <span className="block text-xs text-slate-400">{user.session_count} active session{user.session_count === 1 ? '' : 's'}</span>}
+                        </td>
+                        <td className="px-4 py-3">
+                          <div className="flex gap-2">
+                            <button onClick={() => startEdit(user)} className="text-indigo-600 hover:text-indigo-800 text-xs">Edit</button>
+                            {user.active ? (
+                              <button onClick={() => createResetLink(user)} className="text-indigo-600 hover:text-indigo-800 text-xs">Reset link</button>
+                            ) : null}
+                            {user.session_count > 0 && user.id !== currentUser?.id && (
+                              <button onClick={() => forceLogout(user)} className="text-amber-600 hover:text-amber-800 text-xs">Force logout</button>
+                            )}
+                            {user.totp_enabled ? (
+                              <button onClick={() => resetTwoFactor(user)} className="text-amber-600 hover:text-amber-800 text-xs">Reset 2FA</button>
+                            ) : null}
+                            {isLocked(user) && (
+                              <button onClick={() => unlockUser(user)} className="text-amber-600 hover:text-amber-800 text-xs">Unlock</button>
+                            )}
+                            <button onClick={() => toggleActive(user)} className="text-amber-600 hover:text-amber-800 text-xs">
+                              {user.active ? 'Disable' : 'Enable'}
+                            </button>
+                            {user.id !== currentUser?.id && (
+                              <button onClick={() => deleteUser(user)} className="text-red-600 hover:text-red-800 text-xs">Delete</button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          <div className="bg-white dark:bg-slate-800 rounded-xl p-6 shadow-sm border">
+            <div className="flex items-center justify-between mb-6">
+              <h3 className="font-semibold text-slate-900 dark:text-white flex items-center gap-2">
+                <Shield className="w-5 h-5 text-indigo-600" /> Roles
+              </h3>
+              <button onClick={() => setRoleForm({ name: '', description: '', permissions: [], require2fa: false, masking: {}, existing: false })}
+                className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm rounded-lg flex items-center gap-2">
+                <Plus className="w-4 h-4" /> Add Role
+              </button>
+            </div>
+
+            {roleForm && (
+              <div className="mb-6 p-4 bg-slate-50 dark:bg-slate-700/50 rounded-lg">
+                <h4 className="font-medium text-slate-900 dark:text-white mb-4">{roleForm.existing ? `Edit ${roleForm.name}` : 'Add New Role'}</h4>
+                <form onSubmit={saveRole} className="space-y-4">
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <input type="text" placeholder="Name *" value={roleForm.name} disabled={roleForm.existing} required
+                      onChange={(e) => setRoleForm({ ...roleForm, name: e.target.value })}
+                      className="px-3 py-2 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg disabled:opacity-60" />
+                    <input type="text" placeholder="Description" value={roleForm.description}
+                      onChange={(e) => setRoleForm({ ...roleForm, description: e.target.value })}
+                      className="px-3 py-2 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg" />
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                    {Object.entries(permissions).map(([permission, description]) => (
+                      <label key={permission} className="flex items-start gap-2 text-sm text-slate-600 dark:text-slate-300">
+                        <input type="checkbox" className="mt-1" checked={roleForm.permissions.includes(permission)} disabled={roleForm.name === 'admin'}
+                          onChange={() => toggleRolePermission(permission)} />
+                        <span><span className="font-mono text-xs">{permission}</span> — {description}</span>
+                      </label>
+                    ))}
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-300">
+                    <input type="checkbox" checked={roleForm.require2fa} onChange={(e) => setRoleForm({ ...roleForm, require2fa: e.target.checked })} />
+                    Require two-factor authentication (members set it up at their next sign-in)
+                  </label>
+                  <div>
+                    <p className="text-sm text-slate-600 dark:text-slate-300 mb-2">Caller data masking (applied everywhere rows leave the server, including AI chat)</p>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                      {Object.entries(piiFields).map(([column, field]) => (
+                        <label key={column} className="text-xs text-slate-500">
+                          {field.label}
+                          <select value={roleForm.masking[column] || ''} onChange={(e) => setRoleForm({ ...roleForm, masking: { ...roleForm.masking, [column]: e.target.value } })}
+                            className="mt-1 w-full px-3 py-2 bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 rounded-lg text-sm">
+                            <option value="">Shown in full</option>
+                            {field.modes.map(mode => <option key={mode} value={mode}>{maskModes[mode]}</option>)}
+                          </select>
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                  <div className="flex gap-2">
+                    <button type="submit" className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg">{roleForm.existing ? 'Update' : 'Create'}</button>
+                    <button type="button" onClick={() => setRoleForm(null)} className="px-4 py-2 bg-slate-200 dark:bg-slate-600 rounded-lg">Cancel</button>
+                  </div>
+                </form>
+              </div>
+            )}
+
+            <div className="space-y-3">
+              {roles.map(role => (
+                <div key={role.name} className="p-4 border border-slate-200 dark:border-slate-700 rounded-lg">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <span className="font-medium text-slate-900 dark:text-white">{role.name}</span>
+                      {role.builtin ? <span className="ml-2 text-xs bg-slate-100 dark:bg-slate-700 text-slate-500 px-2 py-0.5 rounded">Built-in</span> : null}
+                      {role.require_2fa ? <span className="ml-2 text-xs bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400 px-2 py-0.5 rounded">2FA required</span> : null}
+                      {Object.entries(role.masking).filter(([, mode]) => mode).map(([column, mode]) => (
+                        <span key={column} className="ml-2 text-xs bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300 px-2 py-0.5 rounded">{column}: {maskModes[mode]}</span>
+                      ))}
+                      <span className="ml-2 text-xs text-slate-500">{role.user_count} user{role.user_count === 1 ? '' : 's'}</span>
+                      {role.description && <p className="text-sm text-slate-500 mt-1">{role.description}</p>}
+                    </div>
+                    <div className="flex gap-2">
+                      <button onClick={() => setRoleForm({ name: role.name, description: role.description || '', permissions: role.permissions, require2fa: !!role.require_2fa, masking: role.masking, existing: true })}
+                        className="text-indigo-600 hover:text-indigo-800 text-xs">Edit</button>
+                      {!role.builtin && (
+                        <button onClick={() => deleteRole(role)} className="text-red-600 hover:text-red-800 text-xs">Delete</button>
+                      )}
+                    </div>
+                  </div>
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {role.permissions.map(permission => (
+                      <span key={permission} className="text-xs font-mono px-2 py-0.5 rounded bg-indigo-50 text-indigo-700 dark:bg-indigo-900/30 dark:text-indigo-300">{permission}</span>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+// Enrichment Panel
+// Results are stored on the server for every user, so the data is reloaded once the jobs finish
+// The providers are plugins on the server and name their icon; unknown names get the default
+const ENRICHMENT_ICONS = { Phone, MapPin, Clock, Building2, ExternalLink }
+
+const isActiveJob = (job) => job.status === 'queued' || job.status === 'running'
+
+async function fetchEnrichmentJobs() {
+  const res = await fetch('/api/enrich/jobs', { headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` } })
+  if (!res.ok) throw new Error('Failed to load enrichment jobs')
+  return res.json()
+}
+
+async function fetchEnrichmentProviders() {
+  const res = await fetch('/api/enrich/providers', { headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` } })
+  if (!res.ok) throw new Error('Failed to load enrichment providers')
+  return res.json()
+}
+
+function EnrichmentPanel({ recordCount, onDataUpdate }) {
+  const [providers, setProviders] = useState([])
+  const [jobs, setJobs] = useState([])
+  const [uploadPipeline, setUploadPipeline] = useState([])
+  const [pipeline, setPipeline] = useState([])
+  const [starting, setStarting] = useState(false)
+  const [error, setError] = useState('')
+  const token = localStorage.getItem('auth_token')
+
+  const loadJobs = () => {
+    fetchEnrichmentJobs()
+      .then(data => {
+        setJobs(data.jobs || [])
+        setUploadPipeline(data.uploadPipeline || [])
+      })
+      .catch(() => {})
+  }
+
+  useEffect(loadJobs, [])
+
+  useEffect(() => {
+    fetchEnrichmentProviders()
+      .then(data => setProviders(data.providers || []))
+      .catch(err => setError(err.message))
+  }, [])
+
+  const providerTitle = (id) => providers.find(provider => provider.id === id)?.title || id
+
+  const hasActiveJobs = jobs.some(isActiveJob)
+
+  // Jobs run on the server, poll while one is queued or running and reload the rows once they are done
+  useEffect(() => {
+    if (!hasActiveJobs) return
+    const poll = setInterval(async () => {
+      try {
+        const data = await fetchEnrichmentJobs()
+        setJobs(data.jobs || [])
+        if (!data.jobs.some(isActiveJob)) onDataUpdate()
+      } catch {
+        // The next poll will try again
+      }
+    }, 1500)
+    return () => clearInterval(poll)
+  }, [hasActiveJobs, onDataUpdate])
+
+  const startJob = async (url, body) => {
+    setStarting(true)
+    setError('')
+
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      })
+      const result = await res.json()
+      if (res.ok) {
+        setJobs(prev => [result.job, ...prev])
+      } else {
+        setError(result.error)
+      }
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setStarting(false)
+    }
+  }
+
+  const cancelJob = async (id) => {
+    try {
+      const res = await fetch(`/api/enrich/jobs/${id}/cancel`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+      const result = await res.json()
+      if (res.ok) {
+        setJobs(prev => prev.map(job => job.id === id ? result.job : job))
+      } else {
+        setError(result.error)
+      }
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const togglePipelineStep = (id) => {
+    setPipeline(prev => prev.includes(id) ? prev.filter(step => step !== id) : [...prev, id])
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-slate-800 rounded-xl p-6 shadow-sm border border-slate-200 dark:border-slate-700">
+        <h3 className="font-semibold text-slate-900 dark:text-white mb-2 flex items-center gap-2">
+          <Zap className="w-5 h-5 text-indigo-600" />
+          Data Enrichment
+        </h3>
+        <p className="text-slate-500 mb-2">Processing {recordCount.toLocaleString()} records. Enrichments run as jobs on the server; results are saved and shown to every user.</p>
+        <p className="text-sm text-slate-500 mb-6">
+          {uploadPipeline.length > 0
+            ? <>New uploads run: {uploadPipeline.map(providerTitle).join(' → ')}</>
+            : <>No enrichments run on new uploads (set <span className="font-mono">ENRICH_ON_UPLOAD</span> on the server)</>}
+        </p>
+
+        {error && (
+          <div className="mb-4 p-2 rounded text-sm flex items-center gap-2 bg-red-50 text-red-700">
+            <AlertCircle className="w-4 h-4" />
+            {error}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {providers.map(opt => {
+            const running = jobs.some(job => isActiveJob(job) && job.steps.includes(opt.id))
+            const Icon = ENRICHMENT_ICONS[opt.icon] || Zap
+            return (
+              <div key={opt.id} className="border border-slate-200 dark:border-slate-700 rounded-lg p-4">
+                <div className="flex items-start gap-3">
+                  <div className="p-2 bg-indigo-500/10 rounded-lg">
+                    <Icon className="w-5 h-5 text-indigo-600" />
+                  </div>
+                  <div className="flex-1">
+                    <h4 className="font-medium text-slate-900 dark:text-white flex items-center gap-2">
+                      {opt.title}
+                      {opt.remote && <span className="text-xs font-normal px-1.5 py-0.5 bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300 rounded">Remote</span>}
+                    </h4>
+                    <p className="text-sm text-slate-500 mt-1">{opt.description}</p>
+                    <p className="text-xs text-slate-400 mt-1" title={`Reads ${opt.inputs.join(', ') || 'nothing'}`}>
+                      Adds {opt.outputs.join(', ')}
+                    </p>
+
+                    <div className="mt-3 flex items-center gap-3">
+                      <button onClick={() => startJob(`/api/enrich/${opt.id}`)} disabled={starting || running}
+                        className="px-4 py-2 text-sm bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg disabled:opacity-50 flex items-center gap-2">
+                        {running && <Loader2 className="w-4 h-4 animate-spin" />}
+                        {running ? 'Running...' : 'Run'}
+                      </button>
+                      <label className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-300">
+                        <input type="checkbox" checked={pipeline.includes(opt.id)} onChange={() => togglePipelineStep(opt.id)} />
+                        Pipeline
+                      </label>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            )
+          })}
+        </div>
+
+        {pipeline.length > 0 && (
+          <div className="mt-4 flex items-center justify-between gap-4 p-3 bg-slate-50 dark:bg-slate-700/50 rounded-lg">
+            <span className="text-sm text-slate-600 dark:text-slate-300">
+              Pipeline: {pipeline.map(providerTitle).join(' → ')}
+            </span>
+            <button onClick={() => startJob('/api/enrich/pipeline', { steps: pipeline })} disabled={starting}
+              className="px-4 py-2 text-sm bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg disabled:opacity-50">
+              Run Pipeline
+            </button>
+          </div>
+        )}
+      </div>
+
+      {jobs.length > 0 && (
+        <div className="bg-white dark:bg-slate-800 rounded-xl p-6 shadow-sm border border-slate-200 dark:border-slate-700">
+          <h3 className="font-semibold text-slate-900 dark:text-white mb-4 flex items-center gap-2">
+            <Activity className="w-5 h-5 text-indigo-600" />
+            Recent Runs
+          </h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-slate-500 uppercase">
+                <th className="py-2">Enrichment</th>
+                <th className="py-2">Status</th>
+                <th className="py-2">Progress</th>
+                <th className="py-2">Run by</th>
+                <th className="py-2">Started</th>
+                <th className="py-2">Result</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
+              {jobs.map(job => (
+                <tr key={job.id}>
+                  <td className="py-2 text-slate-900 dark:text-white">
+                    {job.titles.join(' → ')}
+                    {job.file_id && <span className="block text-xs text-slate-500">New upload</span>}
+                  </td>
+                  <td className="py-2">
+                    <span className={`px-2 py-0.5 text-xs rounded-full ${job.status === 'completed' ? 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400' : job.status === 'failed' ? 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400' : job.status === 'cancelled' ? 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300' : 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400'}`}>
+                      {job.cancel_requested && job.status === 'running' ? 'cancelling' : job.status}
+                    </span>
+                  </td>
+                  <td className="py-2 w-40">
+                    <div className="h-2 bg-slate-200 dark:bg-slate-700 rounded-full overflow-hidden">
+                      <div className="h-full bg-indigo-500 transition-all" style={{ width: `${job.progress || 0}%` }} />
+                    </div>
+                    <p className="text-xs text-slate-500 mt-1">
+                      {job.progress || 0}%
+                      {job.error_count > 0 && <span className="text-red-600" title={job.step_results.map(r => r.firstError).filter(Boolean).join('\n')}> · {job.error_count.toLocaleString()} rows failed</span>}
+                    </p>
+                  </td>
+                  <td className="py-2 text-slate-600 dark:text-slate-400">{job.username || 'Unknown'}</td>
+                  <td className="py-2 text-slate-600 dark:text-slate-400">{new Date(job.created_at).toLocaleString()}</td>
+                  <td className="py-2 text-slate-600 dark:text-slate-400">{job.error || job.message}</td>
+                  <td className="py-2 text-right">
+                    {isActiveJob(job) && !job.cancel_requested && (
+                      <button onClick={() => cancelJob(job.id)} className="px-2 py-1 text-xs text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded">
+                        Cancel
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// PDF Export
+function exportPDF(elementId, filename = 'report.pdf') {
+  const element = document.getElementById(elementId)
+  if (!element) return
+
+  html2canvas(element, { scale: 2 }).then(canvas => {
+    const imgData = canvas.toDataURL('image/png')
+    const pdf = new jsPDF('p', 'mm', 'a4')
+    const pdfWidth = pdf.internal.pageSize.getWidth()
+    const pdfHeight = (canvas.height * pdfWidth) / canvas.width
+    pdf.addImage(imgData, 'PNG', 0, 0, pdfWidth, pdfHeight)
+    pdf.save(filename)
+  })
+}
 
 // Main Dashboard
-function Dashboard({ data, columns, setData, setColumns, user, onLogout, onDataUpdate }) {
+// Rows are never loaded in bulk: the table fetches pages, everything else asks the server for aggregates.
+// dataVersion changes whenever the data did (uploads, enrichments, user changes), so they fetch again
+function Dashboard({ columns, totalRecords, dataVersion, user, onLogout, onDataUpdate, onUserChange }) {
   const [filters, setFilters] = useState({})
   const [globalSearch, setGlobalSearch] = useState('')
   const [selectedFilter, setSelectedFilter] = useState(null)
@@ -1465,100 +3326,59 @@ function Dashboard({ data, columns, setData, setColumns, user, onLogout, onDataU
   const [view, setView] = useState('overview')
   const [dark, setDark] = useDarkMode()
 
-  const filteredData = useMemo(() => {
-    return data.filter(row => {
-      // Date range filter
-      if (dateRange) {
-        const callDate = row.CallStart
-        if (callDate) {
-          try {
-            const [datePart] = callDate.split(' ')
-            const date = parse(datePart, 'MM-dd-yy', new Date())
-            const start = dateRange.start ? startOfDay(new Date(dateRange.start)) : new Date(0)
-            const end = dateRange.end ? endOfDay(new Date(dateRange.end)) : new Date()
-            if (!isWithinInterval(date, { start, end })) return false
-          } catch { }
-        }
-      }
+  const [metrics, setMetrics] = useState(EMPTY_METRICS)
 
-      // Selected filter from smart search
-      if (selectedFilter) {
-        if (String(row[selectedFilter.field] || '').toLowerCase() !== selectedFilter.value.toLowerCase()) return false
-      }
+  const dataQuery = { filters, globalSearch, selectedFilter, dateRange }
+  const metricsKey = buildDataParams(dataQuery).toString()
 
-      // Global search
-      if (globalSearch) {
-        const q = globalSearch.toLowerCase()
-        if (!Object.values(row).some(val => String(val).toLowerCase().includes(q))) return false
+  // KPIs and charts are aggregated on the server for the current filters
+  useEffect(() => {
+    const controller = new AbortController()
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch(`/api/metrics?${metricsKey}`, {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` },
+          signal: controller.signal
+        })
+        if (res.ok) setMetrics(await res.json())
+      } catch (err) {
+        if (err.name !== 'AbortError') console.error('Failed to load metrics:', err)
       }
+    }, 250)
 
-      // Column filters
-      for (const [col, filterVal] of Object.entries(filters)) {
-        if (filterVal && !String(row[col] || '').toLowerCase().includes(filterVal.toLowerCase())) return false
-      }
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [metricsKey, dataVersion])
 
-      return true
-    })
-  }, [data, filters, globalSearch, selectedFilter, dateRange])
-
-  const stats = useMemo(() => {
-    const answered = filteredData.filter(r => r.CallAction === 'Answer').length
-    const hangup = filteredData.filter(r => r.CallAction === 'Hangup').length
-    const totalDuration = filteredData.reduce((sum, r) => sum + (parseInt(r.CallDuration) || 0), 0)
-    const avgDuration = filteredData.length ? Math.round(totalDuration / filteredData.length) : 0
-    const uniqueCallers = new Set(filteredData.map(r => r.CallerID)).size
-    return { answered, hangup, avgDuration, uniqueCallers, total: filteredData.length }
-  }, [filteredData])
-
-  const callsByMonth = useMemo(() => {
-    const months = {}
-    filteredData.forEach(row => {
-      const date = row.CallStart
-      if (date) {
-        const [month, , year] = date.split(' ')[0].split('-')
-        const key = `${year}-${month}`
-        months[key] = (months[key] || 0) + 1
-      }
-    })
-    return Object.entries(months).sort(([a], [b]) => a.localeCompare(b)).map(([month, count]) => ({ month, count }))
-  }, [filteredData])
-
-  const callsByState = useMemo(() => {
-    const states = {}
-    filteredData.forEach(row => {
-      const state = row.CallerState || 'Unknown'
-      states[state] = (states[state] || 0) + 1
-    })
-    return Object.entries(states).sort(([, a], [, b]) => b - a).slice(0, 10).map(([state, count]) => ({ state, count }))
-  }, [filteredData])
-
-  const callsByAction = useMemo(() => {
-    const actions = {}
-    filteredData.forEach(row => { actions[row.CallAction || 'Unknown'] = (actions[row.CallAction || 'Unknown'] || 0) + 1 })
-    return Object.entries(actions).map(([name, value]) => ({ name, value }))
-  }, [filteredData])
-
-  const durationDist = useMemo(() => {
-    const b = { '0-30s': 0, '30s-1m': 0, '1-5m': 0, '5-15m': 0, '15m+': 0 }
-    filteredData.forEach(r => {
-      const d = parseInt(r.CallDuration) || 0
-      if (d <= 30) b['0-30s']++
-      else if (d <= 60) b['30s-1m']++
-      else if (d <= 300) b['1-5m']++
-      else if (d <= 900) b['5-15m']++
-      else b['15m+']++
-    })
-    return Object.entries(b).map(([range, count]) => ({ range, count }))
-  }, [filteredData])
+  const { stats, callsByMonth, callsByState, callsByAction, durationDist } = metrics
+
+  const exportCSV = async () => {
+    try {
+      const res = await fetch(`/api/data/export?${buildDataParams(dataQuery)}`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` }
+      })
+      if (!res.ok) return
+      const blob = await res.blob()
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = 'callpulse_export.csv'
+      a.click()
+    } catch (err) {
+      console.error('Export failed:', err)
+    }
+  }
 
-  const exportCSV = () => {
-    const csv = Papa.unparse(filteredData)
-    const blob = new Blob([csv], { type: 'text/csv' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = 'callpulse_export.csv'
-    a.click()
+  const exportReport = () => {
+    exportPDF('dashboard-content', 'callpulse-report.pdf')
+    // Rendered in the browser, so tell the server for the audit log
+    fetch('/api/data/export/pdf', {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(Object.fromEntries(buildDataParams(dataQuery)))
+    }).catch(err => console.error('Failed to record export:', err))
   }
 
   const loadFilter = (sf) => {
@@ -1579,9 +3399,9 @@ function Dashboard({ data, columns, setData, setColumns, user, onLogout, onDataU
                   { id: 'overview', icon: BarChart3, label: 'Overview' },
                   { id: 'table', icon: Table, label: 'Data' },
                   { id: 'map', icon: Map, label: 'Map' },
-                  { id: 'enrich', icon: Zap, label: 'Enrich' },
+                  ...(can(user, 'enrich.run') ? [{ id: 'enrich', icon: Zap, label: 'Enrich' }] : []),
                   { id: 'files', icon: Database, label: 'Data Files' },
-                  ...(user?.role === 'admin' ? [{ id: 'admin', icon: Users, label: 'Admin' }] : [])
+                  ...(can(user, 'users.manage') ? [{ id: 'admin', icon: Users, label: 'Admin' }] : [])
                 ].map(tab => (
                   <button key={tab.id} onClick={() => setView(tab.id)}
                     className={`px-3 py-1.5 text-sm rounded-md transition-colors flex items-center gap-1 ${view === tab.id ? 'bg-white dark:bg-slate-600 shadow-sm text-indigo-600 dark:text-indigo-400' : 'hover:bg-white/50 text-slate-600 dark:text-slate-400'}`}>
@@ -1592,7 +3412,7 @@ function Dashboard({ data, columns, setData, setColumns, user, onLogout, onDataU
             </div>
 
             <div className="flex items-center gap-3">
-              <SmartSearch data={data} onSearch={(q) => { setGlobalSearch(q); setSelectedFilter(null) }}
+              <SmartSearch onSearch={(q) => { setGlobalSearch(q); setSelectedFilter(null) }}
                 onSelect={({ field, value }) => { setSelectedFilter({ field, value }); setGlobalSearch('') }} />
               
               {selectedFilter && (
@@ -1607,24 +3427,41 @@ function Dashboard({ data, columns, setData, setColumns, user, onLogout, onDataU
               </button>
 
               <div className="flex items-center gap-2 pl-3 border-l border-slate-200 dark:border-slate-600">
-                <span className="text-sm text-slate-600 dark:text-slate-400">{user?.username}</span>
+                <button onClick={() => setView('account')} title="Account security"
+                  className={`text-sm flex items-center gap-1 ${view === 'account' ? 'text-indigo-600 dark:text-indigo-400' : 'text-slate-600 dark:text-slate-400 hover:text-indigo-600'}`}>
+                  <Settings className="w-4 h-4" /> {user?.username}
+                </button>
                 {user?.role === 'admin' && <span className="text-xs bg-purple-100 text-purple-700 dark:bg-purple-900/30 dark:text-purple-400 px-2 py-0.5 rounded">Admin</span>}
+                {user?.scopes?.length > 0 && (
+                  <span title={describeScopes(user.scopes)} className="text-xs bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400 px-2 py-0.5 rounded flex items-center gap-1">
+                    <Filter className="w-3 h-3" /> Scoped
+                  </span>
+                )}
+                {Object.values(user?.masking || {}).some(Boolean) && (
+                  <span title={`Masked: ${Object.keys(user.masking).filter(col => user.masking[col]).join(', ')}`} className="text-xs bg-slate-100 text-slate-700 dark:bg-slate-700 dark:text-slate-300 px-2 py-0.5 rounded flex items-center gap-1">
+                    <EyeOff className="w-3 h-3" /> Masked
+                  </span>
+                )}
                 <button onClick={onLogout} className="text-sm text-red-600 hover:text-red-800">Logout</button>
               </div>
             </div>
           </div>
 
           <div className="flex items-center gap-4 mt-4 flex-wrap">
-            <DateRangeFilter data={data} onFilter={setDateRange} />
+            <DateRangeFilter dataVersion={dataVersion} onFilter={setDateRange} />
             <SavedFilters filters={filters} globalSearch={globalSearch} dateRange={dateRange} onLoad={loadFilter} onDelete={() => {}} />
             <div className="flex-1" />
-            <button onClick={exportCSV} className="flex items-center gap-2 px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm rounded-lg">
-              <Download className="w-4 h-4" /> Export CSV
-            </button>
-            <button onClick={() => exportPDF('dashboard-content', 'callpulse-report.pdf')}
-              className="flex items-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 text-white text-sm rounded-lg">
-              <FileText className="w-4 h-4" /> Export PDF
-            </button>
+            {can(user, 'data.export') && (
+              <>
+                <button onClick={exportCSV} className="flex items-center gap-2 px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm rounded-lg">
+                  <Download className="w-4 h-4" /> Export CSV
+                </button>
+                <button onClick={exportReport}
+                  className="flex items-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 text-white text-sm rounded-lg">
+                  <FileText className="w-4 h-4" /> Export PDF
+                </button>
+              </>
+            )}
           </div>
         </div>
       </header>
@@ -1696,15 +3533,16 @@ function Dashboard({ data, columns, setData, setColumns, user, onLogout, onDataU
           </div>
         )}
 
-        {view === 'table' && <DataTable data={filteredData} columns={columns} filters={filters} setFilters={setFilters} />}
-        {view === 'map' && <MapView data={filteredData} />}
-        {view === 'enrich' && <EnrichmentPanel data={filteredData} onDataUpdate={(d, c) => { setData(d); if (c) setColumns(c) }} />}
-        {view === 'files' && <DataFilesPanel onDataUpdate={onDataUpdate} />}
+        {view === 'table' && <DataTable metrics={metrics} columns={columns} filters={filters} setFilters={setFilters} query={dataQuery} dataVersion={dataVersion} masking={user?.masking} />}
+        {view === 'map' && <MapView query={dataQuery} dataVersion={dataVersion} />}
+        {view === 'enrich' && <EnrichmentPanel recordCount={totalRecords} onDataUpdate={onDataUpdate} />}
+        {view === 'files' && <DataFilesPanel user={user} onDataUpdate={onDataUpdate} />}
         {view === 'admin' && <AdminPanel currentUser={user} />}
+        {view === 'account' && <AccountPanel user={user} onUserChange={onUserChange} />}
       </main>
 
       {/* AI Chat Panel */}
-      <AIChatPanel data={filteredData} columns={columns} />
+      {can(user, 'chat.use') && <AIChatPanel query={dataQuery} />}
     </div>
   )
 }
@@ -1713,31 +3551,74 @@ function Dashboard({ data, columns, setData, setColumns, user, onLogout, onDataU
 export default function App() {
   const [authenticated, setAuthenticated] = useState(false)
   const [user, setUser] = useState(null)
-  const [data, setData] = useState([])
   const [columns, setColumns] = useState([])
+  const [totalRecords, setTotalRecords] = useState(0)
+  const [dataVersion, setDataVersion] = useState(0)
   const [loading, setLoading] = useState(true)
+  const [resetToken, setResetToken] = useState(() => new URLSearchParams(window.location.search).get('reset'))
 
   useEffect(() => {
+    // Back from single sign-on, the session token is in the URL fragment
+    const ssoToken = new URLSearchParams(window.location.hash.slice(1)).get('sso')
+    if (ssoToken) {
+      window.history.replaceState(null, '', window.location.pathname)
+      localStorage.setItem('auth_token', ssoToken)
+      completeSsoLogin(ssoToken)
+      return
+    }
     const token = localStorage.getItem('auth_token')
     const savedUser = localStorage.getItem('user')
     if (token && savedUser) {
       setAuthenticated(true)
       setUser(JSON.parse(savedUser))
+      refreshUser(token)
       loadData(token)
     } else {
       setLoading(false)
     }
   }, [])
 
+  // Role permissions can change while a session is stored, so re-read them
+  const refreshUser = async (token) => {
+    try {
+      const res = await fetch('/api/auth/me', { headers: { 'Authorization': `Bearer ${token}` } })
+      if (res.ok) {
+        const { user: current } = await res.json()
+        localStorage.setItem('user', JSON.stringify(current))
+        setUser(current)
+      }
+    } catch (err) {
+      console.error('Failed to refresh user:', err)
+    }
+  }
+
+  const completeSsoLogin = async (token) => {
+    try {
+      const res = await fetch('/api/auth/me', { headers: { 'Authorization': `Bearer ${token}` } })
+      if (res.ok) {
+        const { user: current } = await res.json()
+        localStorage.setItem('user', JSON.stringify(current))
+        handleLogin(token, current)
+        return
+      }
+    } catch (err) {
+      console.error('Failed to complete sign-in:', err)
+    }
+    localStorage.removeItem('auth_token')
+    setLoading(false)
+  }
+
+  // Only the columns and row count; the views fetch the rows and aggregates they show
   const loadData = async (token) => {
     try {
-      const res = await fetch('/api/data', {
+      const res = await fetch('/api/data?page=0&pageSize=1', {
         headers: { 'Authorization': `Bearer ${token || localStorage.getItem('auth_token')}` }
       })
       if (res.ok) {
-        const { data: csvData, columns: cols } = await res.json()
-        setData(csvData)
+        const { columns: cols, total } = await res.json()
         setColumns(cols)
+        setTotalRecords(total)
+        setDataVersion(version => version + 1)
       } else if (res.status === 401) {
         handleLogout()
       }
@@ -1767,15 +3648,43 @@ export default function App() {
     localStorage.removeItem('user')
     setAuthenticated(false)
     setUser(null)
-    setData([])
     setColumns([])
+    setTotalRecords(0)
   }
 
   const handleDataUpdate = () => {
     loadData()
   }
 
+  const handleUserChange = async () => {
+    const token = localStorage.getItem('auth_token')
+    await refreshUser(token)
+    loadData(token)
+  }
+
+  // A reset ends every session of the user, so whoever was signed in here has to sign in again
+  const handleResetDone = () => {
+    window.history.replaceState(null, '', window.location.pathname)
+    setResetToken(null)
+    if (authenticated) handleLogout()
+  }
+
+  if (resetToken) return <ResetPasswordScreen token={resetToken} onDone={handleResetDone} />
   if (!authenticated) return <LoginScreen onLogin={handleLogin} />
+  // The role requires 2FA and this user hasn't set it up, the server refuses everything else until they do
+  if (user?.twoFactorSetupRequired) return (
+    <div className="min-h-screen bg-slate-50 dark:bg-slate-900 flex items-center justify-center p-4">
+      <div className="bg-white dark:bg-slate-800 rounded-xl p-6 shadow-sm border w-full max-w-lg">
+        <div className="flex justify-center mb-4"><Logo /></div>
+        <h3 className="font-semibold text-slate-900 dark:text-white flex items-center gap-2 mb-1">
+          <Shield className="w-5 h-5 text-indigo-600" /> Set up two-factor authentication
+        </h3>
+        <p className="text-sm text-slate-500 mb-4">Your role requires a code from an authenticator app in addition to your password.</p>
+        <TwoFactorSettings onChange={handleUserChange} />
+        <button onClick={handleLogout} className="mt-6 text-sm text-red-600 hover:text-red-800">Logout</button>
+      </div>
+    </div>
+  )
   if (loading) return (
     <div className="min-h-screen bg-slate-50 dark:bg-slate-900 flex items-center justify-center">
       <div className="text-center">
@@ -1788,5 +3697,5 @@ export default function App() {
     </div>
   )
 
-  return <Dashboard data={data} columns={columns} setData={setData} setColumns={setColumns} user={user} onLogout={handleLogout} onDataUpdate={handleDataUpdate} />
+  return <Dashboard columns={columns} totalRecords={totalRecords} dataVersion={dataVersion} user={user} onLogout={handleLogout} onDataUpdate={handleDataUpdate} onUserChange={handleUserChange} />
 }